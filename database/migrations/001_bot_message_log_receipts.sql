@@ -0,0 +1,7 @@
+-- Confirmaciones de entrega y lectura (message_ack) en bot_message_log
+ALTER TABLE bot_message_log
+    MODIFY COLUMN delivery_status ENUM('PENDING', 'SENT', 'DELIVERED', 'READ', 'PLAYED', 'FAILED') NOT NULL DEFAULT 'PENDING',
+    ADD COLUMN delivered_at DATETIME NULL AFTER delivery_status,
+    ADD COLUMN read_at DATETIME NULL AFTER delivered_at,
+    ADD COLUMN played_at DATETIME NULL AFTER read_at,
+    ADD INDEX idx_bot_message_log_whatsapp_message_id (whatsapp_message_id);
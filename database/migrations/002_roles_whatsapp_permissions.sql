@@ -0,0 +1,8 @@
+-- BD de roles: permisos que exigen los endpoints de control de WhatsApp
+-- Asignarlos a cada rol en role_permissions según corresponda
+INSERT INTO permissions (name, description) VALUES
+    ('whatsapp.start', 'Iniciar líneas de WhatsApp'),
+    ('whatsapp.stop', 'Detener líneas de WhatsApp'),
+    ('whatsapp.cleanup', 'Limpiar la sesión de una línea'),
+    ('whatsapp.force_cleanup', 'Limpieza forzada de la sesión de una línea')
+ON DUPLICATE KEY UPDATE description = VALUES(description);
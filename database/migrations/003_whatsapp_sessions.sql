@@ -0,0 +1,8 @@
+-- Sesiones de WhatsApp (RemoteAuth) guardadas en la BD de inmobiliaria
+-- El zip de una sesión suele pesar varios MB: revisar max_allowed_packet
+CREATE TABLE IF NOT EXISTS whatsapp_sessions (
+    session_name VARCHAR(100) NOT NULL PRIMARY KEY,
+    session_data LONGBLOB NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,3 @@
+-- Estado INTERRUPTED: secuencias cortadas por un apagado, pendientes de reanudar
+ALTER TABLE bot_conversations
+    MODIFY COLUMN status ENUM('INITIATED', 'IN_PROGRESS', 'COMPLETED', 'FAILED', 'CANCELLED', 'INTERRUPTED') NOT NULL DEFAULT 'INITIATED';
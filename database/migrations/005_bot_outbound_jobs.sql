@@ -0,0 +1,22 @@
+-- Cola persistente de mensajes salientes: cada mensaje programado es un job con su hora de envío
+CREATE TABLE IF NOT EXISTS bot_outbound_jobs (
+    id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    job_type VARCHAR(20) NOT NULL DEFAULT 'SEQUENCE',
+    conversation_id INT NOT NULL,
+    message_id INT NULL,
+    line_id VARCHAR(64) NOT NULL,
+    user_phone VARCHAR(50) NOT NULL,
+    sequence_order INT NOT NULL DEFAULT 0,
+    delay_seconds INT NOT NULL DEFAULT 0,
+    variables JSON NULL,
+    due_at DATETIME NOT NULL,
+    status ENUM('PENDING', 'PROCESSING', 'SENT', 'FAILED', 'CANCELLED') NOT NULL DEFAULT 'PENDING',
+    attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT NULL,
+    locked_at DATETIME NULL,
+    sent_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_bot_outbound_jobs_due (status, due_at),
+    INDEX idx_bot_outbound_jobs_conversation (conversation_id, status, sequence_order)
+);
@@ -0,0 +1,7 @@
+-- Opt-out por palabra clave: motivo, origen y fecha del bloqueo en blocked_numbers
+-- blocked_by distingue los bloqueos pedidos por el lead (OPT_OUT) de los manuales,
+-- así la frase de opt-in solo revierte los primeros
+ALTER TABLE blocked_numbers
+    ADD COLUMN reason VARCHAR(255) NULL,
+    ADD COLUMN blocked_by ENUM('MANUAL', 'OPT_OUT') NOT NULL DEFAULT 'MANUAL',
+    ADD COLUMN blocked_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP;
@@ -0,0 +1,19 @@
+-- Derivación a asesor: mientras el handoff esté OPEN el bot no responde automáticamente al chat
+CREATE TABLE IF NOT EXISTS bot_handoffs (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    conversation_id INT NOT NULL,
+    line_id VARCHAR(64) NOT NULL,
+    user_phone VARCHAR(50) NOT NULL,
+    user_name VARCHAR(255) NULL,
+    status ENUM('OPEN', 'RELEASED') NOT NULL DEFAULT 'OPEN',
+    first_message TEXT NULL,
+    last_message TEXT NULL,
+    messages_count INT NOT NULL DEFAULT 1,
+    forwarded_to VARCHAR(50) NULL,
+    opened_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_message_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    released_at DATETIME NULL,
+    released_by VARCHAR(100) NULL,
+    INDEX idx_bot_handoffs_user (user_phone, line_id, status),
+    INDEX idx_bot_handoffs_status (status, opened_at)
+);
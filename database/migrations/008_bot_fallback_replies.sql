@@ -0,0 +1,31 @@
+-- Respuesta por defecto cuando ningún mensaje dispara una campaña
+-- content admite {nombre}, {telefono} y {campanas} (menú de campañas activas)
+CREATE TABLE IF NOT EXISTS bot_fallback_replies (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    line_id VARCHAR(64) NULL COMMENT 'NULL = todas las líneas',
+    content TEXT NOT NULL,
+    include_campaign_menu BOOLEAN NOT NULL DEFAULT TRUE,
+    cooldown_hours INT NOT NULL DEFAULT 24 COMMENT 'Se envía como máximo una vez por usuario en este periodo',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    deleted_at DATETIME NULL
+);
+
+-- Mensajes que no dispararon ninguna campaña y la respuesta por defecto enviada (si hubo)
+CREATE TABLE IF NOT EXISTS bot_unmatched_messages (
+    id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    line_id VARCHAR(64) NOT NULL,
+    user_phone VARCHAR(50) NOT NULL,
+    user_name VARCHAR(255) NULL,
+    message_text TEXT NOT NULL,
+    fallback_reply_id INT NULL,
+    fallback_sent BOOLEAN NOT NULL DEFAULT FALSE,
+    fallback_content TEXT NULL,
+    received_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_bot_unmatched_user (user_phone, fallback_sent, received_at),
+    INDEX idx_bot_unmatched_received (received_at)
+);
+
+INSERT INTO bot_fallback_replies (line_id, content, include_campaign_menu, cooldown_hours)
+VALUES (NULL, 'Hola {nombre} 👋 No encontramos información para tu mensaje. Estos son nuestros proyectos disponibles:\n\n{campanas}', TRUE, 24);
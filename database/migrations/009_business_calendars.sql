@@ -0,0 +1,46 @@
+-- Horario de atención: calendario semanal con feriados y zona horaria,
+-- asignable a una campaña (prioridad) o a una línea
+CREATE TABLE IF NOT EXISTS business_calendars (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'America/Lima',
+    -- Admite {nombre} y {apertura} (próxima apertura, ej: "lunes 09:00")
+    out_of_hours_message TEXT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Franjas semanales (day_of_week: 0 = domingo ... 6 = sábado); puede haber varias por día
+CREATE TABLE IF NOT EXISTS business_calendar_hours (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    calendar_id INT NOT NULL,
+    day_of_week TINYINT NOT NULL,
+    open_time TIME NOT NULL,
+    close_time TIME NOT NULL,
+    INDEX idx_business_calendar_hours_calendar (calendar_id, day_of_week),
+    CONSTRAINT fk_business_calendar_hours_calendar FOREIGN KEY (calendar_id) REFERENCES business_calendars (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS business_calendar_holidays (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    calendar_id INT NOT NULL,
+    holiday_date DATE NOT NULL,
+    description VARCHAR(255) NULL,
+    UNIQUE KEY uq_business_calendar_holidays (calendar_id, holiday_date),
+    CONSTRAINT fk_business_calendar_holidays_calendar FOREIGN KEY (calendar_id) REFERENCES business_calendars (id) ON DELETE CASCADE
+);
+
+-- Calendario por línea (se usa si la campaña no tiene uno propio)
+CREATE TABLE IF NOT EXISTS bot_line_calendars (
+    line_id VARCHAR(64) NOT NULL PRIMARY KEY,
+    calendar_id INT NOT NULL,
+    CONSTRAINT fk_bot_line_calendars_calendar FOREIGN KEY (calendar_id) REFERENCES business_calendars (id) ON DELETE CASCADE
+);
+
+-- Fuera de horario: SEND_NOW envía toda la secuencia ya; DEFER pasa a la próxima apertura
+-- los mensajes con sort_order >= out_of_hours_defer_from_order (NULL = toda la secuencia)
+ALTER TABLE campaigns
+    ADD COLUMN business_calendar_id INT NULL,
+    ADD COLUMN out_of_hours_mode ENUM('SEND_NOW', 'DEFER') NOT NULL DEFAULT 'SEND_NOW',
+    ADD COLUMN out_of_hours_defer_from_order INT NULL;
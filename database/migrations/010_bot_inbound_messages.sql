@@ -0,0 +1,22 @@
+-- Todos los mensajes entrantes (texto, audio, imagen, sticker, ubicación, etc.) con su conversación,
+-- para armar junto a bot_message_log la transcripción completa
+CREATE TABLE IF NOT EXISTS bot_inbound_messages (
+    id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    line_id VARCHAR(64) NOT NULL,
+    conversation_id INT NULL,
+    user_phone VARCHAR(50) NOT NULL,
+    whatsapp_message_id VARCHAR(255) NULL,
+    message_type VARCHAR(30) NOT NULL,
+    body TEXT NULL,
+    has_media BOOLEAN NOT NULL DEFAULT FALSE,
+    media_mimetype VARCHAR(100) NULL,
+    media_filename VARCHAR(255) NULL,
+    media_size INT NULL,
+    -- Datos propios del tipo: duración de audios, coordenadas, vCards, mensaje citado
+    metadata JSON NULL,
+    received_at DATETIME NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_bot_inbound_conversation (conversation_id, received_at),
+    INDEX idx_bot_inbound_user (user_phone, received_at),
+    INDEX idx_bot_inbound_whatsapp_message_id (whatsapp_message_id)
+);
@@ -0,0 +1,40 @@
+-- Paso de campaña tipo pregunta: el bot pregunta, espera la respuesta, la valida y continúa
+INSERT INTO message_types (type_code, name, description)
+SELECT 'QUESTION', 'Pregunta', 'Pregunta de calificación que espera la respuesta del lead'
+WHERE NOT EXISTS (SELECT 1 FROM message_types WHERE type_code = 'QUESTION');
+
+-- Configuración de cada pregunta (el texto es messages.content)
+-- options: [{"value": "contado", "label": "Al contado", "score": 10, "synonyms": ["efectivo"]}]
+-- number_ranges: [{"min": 0, "max": 150000, "score": 2}, {"min": 150000, "max": null, "score": 10}]
+CREATE TABLE IF NOT EXISTS message_questions (
+    message_id INT NOT NULL PRIMARY KEY,
+    answer_key VARCHAR(50) NOT NULL,
+    validation_type ENUM('NUMBER', 'OPTIONS', 'TEXT') NOT NULL DEFAULT 'TEXT',
+    options JSON NULL,
+    min_value DECIMAL(15, 2) NULL,
+    max_value DECIMAL(15, 2) NULL,
+    number_ranges JSON NULL,
+    text_score INT NOT NULL DEFAULT 0,
+    reprompt_message TEXT NULL,
+    max_attempts INT NOT NULL DEFAULT 3
+);
+
+CREATE TABLE IF NOT EXISTS bot_conversation_answers (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    conversation_id INT NOT NULL,
+    message_id INT NOT NULL,
+    answer_key VARCHAR(50) NOT NULL,
+    raw_answer TEXT NULL,
+    answer_value VARCHAR(255) NULL,
+    score INT NOT NULL DEFAULT 0,
+    is_valid BOOLEAN NOT NULL DEFAULT TRUE,
+    attempts INT NOT NULL DEFAULT 1,
+    answered_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_bot_conversation_answers (conversation_id, message_id)
+);
+
+-- Pregunta que la conversación espera que el lead responda y puntaje acumulado
+ALTER TABLE bot_conversations
+    ADD COLUMN awaiting_message_id INT NULL,
+    ADD COLUMN awaiting_attempts INT NOT NULL DEFAULT 0,
+    ADD COLUMN qualification_score INT NULL;
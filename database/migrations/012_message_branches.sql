@@ -0,0 +1,25 @@
+-- Paso de campaña tipo menú: el bot ofrece opciones numeradas y la respuesta elige la rama
+INSERT INTO message_types (type_code, name, description)
+SELECT 'MENU', 'Menú', 'Opciones numeradas; la respuesta del lead elige la rama del flujo'
+WHERE NOT EXISTS (SELECT 1 FROM message_types WHERE type_code = 'MENU');
+
+-- Opciones de cada menú (el texto del menú es messages.content)
+-- action: MESSAGES = enviar los mensajes de la rama y luego seguir después del menú,
+--         HANDOFF = derivar al asesor, END = cerrar la conversación
+-- synonyms: ["precio", "cuanto cuesta"]
+CREATE TABLE IF NOT EXISTS message_branches (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    menu_message_id INT NOT NULL,
+    option_number INT NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    synonyms JSON NULL,
+    action ENUM('MESSAGES', 'HANDOFF', 'END') NOT NULL DEFAULT 'MESSAGES',
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME NULL,
+    UNIQUE KEY uq_message_branches_option (menu_message_id, option_number)
+);
+
+-- Mensajes de una rama (NULL = secuencia principal de la campaña), ordenados por sort_order
+ALTER TABLE messages
+    ADD COLUMN branch_id INT NULL,
+    ADD INDEX idx_messages_branch (branch_id);
@@ -0,0 +1,18 @@
+-- Seguimientos de una campaña: mensajes que se envían días después de completar la secuencia
+-- si el lead no respondió (ej: a las 72 horas la lista de precios, a las 168 horas ofrecer visita)
+CREATE TABLE IF NOT EXISTS campaign_followups (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    campaign_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    delay_hours INT NOT NULL,
+    content TEXT NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME NULL,
+    INDEX idx_campaign_followups_campaign (campaign_id, is_active)
+);
+
+-- Los seguimientos se programan en la cola persistente como jobs FOLLOWUP
+ALTER TABLE bot_outbound_jobs
+    ADD COLUMN followup_id INT NULL AFTER message_id,
+    ADD INDEX idx_bot_outbound_jobs_user (user_phone, job_type, status);
@@ -0,0 +1,31 @@
+-- Asesores de venta a los que se asignan los leads
+-- max_active_leads: tope de leads asignados en la ventana de carga (NULL = sin tope)
+CREATE TABLE IF NOT EXISTS advisors (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    whatsapp_number VARCHAR(50) NOT NULL,
+    is_available BOOLEAN NOT NULL DEFAULT TRUE,
+    max_active_leads INT NULL,
+    last_assigned_at DATETIME NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME NULL
+);
+
+-- Campañas que atiende cada asesor (un asesor sin filas atiende todas)
+CREATE TABLE IF NOT EXISTS advisor_campaigns (
+    advisor_id INT NOT NULL,
+    campaign_id INT NOT NULL,
+    PRIMARY KEY (advisor_id, campaign_id),
+    INDEX idx_advisor_campaigns_campaign (campaign_id)
+);
+
+-- Estrategia de asignación por campaña (NULL = la de config2.assignment.defaultStrategy)
+ALTER TABLE campaigns
+    ADD COLUMN assignment_strategy ENUM('ROUND_ROBIN', 'LEAST_LOADED', 'STICKY') NULL;
+
+-- Asesor a cargo de la conversación
+ALTER TABLE bot_conversations
+    ADD COLUMN advisor_id INT NULL,
+    ADD COLUMN advisor_assigned_at DATETIME NULL,
+    ADD INDEX idx_bot_conversations_advisor (advisor_id, advisor_assigned_at);
@@ -0,0 +1,68 @@
+-- Proyectos inmobiliarios (ej: Yanachaga Ecovillage) y la campaña que los promociona
+CREATE TABLE IF NOT EXISTS projects (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    address VARCHAR(255) NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME NULL
+);
+
+ALTER TABLE campaigns
+    ADD COLUMN project_id INT NULL;
+
+-- Horarios de visita de cada proyecto (starts_at en hora local, la misma del servidor)
+CREATE TABLE IF NOT EXISTS visit_slots (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    project_id INT NOT NULL,
+    starts_at DATETIME NOT NULL,
+    duration_minutes INT NOT NULL DEFAULT 60,
+    capacity INT NOT NULL DEFAULT 1,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME NULL,
+    INDEX idx_visit_slots_project (project_id, starts_at)
+);
+
+-- Visitas agendadas. Al reprogramar, la reserva anterior queda RESCHEDULED apuntando a la nueva
+CREATE TABLE IF NOT EXISTS visit_bookings (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    slot_id INT NOT NULL,
+    project_id INT NOT NULL,
+    conversation_id INT NULL,
+    line_id VARCHAR(64) NULL,
+    user_phone VARCHAR(50) NOT NULL,
+    user_name VARCHAR(255) NULL,
+    status ENUM('CONFIRMED', 'CANCELLED', 'RESCHEDULED') NOT NULL DEFAULT 'CONFIRMED',
+    rescheduled_to_id INT NULL,
+    cancel_reason VARCHAR(255) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_visit_bookings_slot (slot_id, status),
+    INDEX idx_visit_bookings_user (user_phone, status)
+);
+
+-- Horarios ofrecidos al lead y pendientes de elección (paso VISIT o reprogramación)
+CREATE TABLE IF NOT EXISTS bot_visit_offers (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    user_phone VARCHAR(50) NOT NULL,
+    conversation_id INT NULL,
+    message_id INT NULL,
+    booking_id INT NULL,
+    project_id INT NOT NULL,
+    slot_ids JSON NOT NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    status ENUM('OPEN', 'ACCEPTED', 'EXPIRED') NOT NULL DEFAULT 'OPEN',
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    INDEX idx_bot_visit_offers_user (user_phone, status)
+);
+
+-- Paso de campaña que ofrece los próximos horarios libres del proyecto de la campaña
+INSERT INTO message_types (type_code, name, description)
+SELECT 'VISIT', 'Agendar visita', 'Ofrece los próximos horarios de visita y agenda el que elija el lead'
+WHERE NOT EXISTS (SELECT 1 FROM message_types WHERE type_code = 'VISIT');
+
+-- Recordatorio de visita en la cola persistente (jobs REMINDER)
+ALTER TABLE bot_outbound_jobs
+    ADD COLUMN booking_id INT NULL AFTER followup_id;
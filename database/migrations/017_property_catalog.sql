@@ -0,0 +1,47 @@
+-- Catálogo de inmuebles (unidades) de cada proyecto
+CREATE TABLE IF NOT EXISTS properties (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    project_id INT NOT NULL,
+    code VARCHAR(50) NULL,
+    property_type ENUM('DEPARTAMENTO', 'CASA', 'LOTE', 'OFICINA', 'LOCAL') NOT NULL,
+    district VARCHAR(100) NOT NULL,
+    price DECIMAL(12, 2) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'PEN',
+    area_m2 DECIMAL(8, 2) NULL,
+    bedrooms TINYINT NULL,
+    bathrooms TINYINT NULL,
+    description VARCHAR(500) NULL,
+    status ENUM('AVAILABLE', 'RESERVED', 'SOLD') NOT NULL DEFAULT 'AVAILABLE',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    deleted_at DATETIME NULL,
+    INDEX idx_properties_search (status, property_type, district, price),
+    INDEX idx_properties_project (project_id)
+);
+
+-- Fotos de cada inmueble (la primera por sort_order es la de la tarjeta)
+CREATE TABLE IF NOT EXISTS property_photos (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    property_id INT NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    mime_type VARCHAR(100) NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME NULL,
+    INDEX idx_property_photos_property (property_id, sort_order)
+);
+
+-- Búsquedas hechas por los leads en el bot, para paginar con "ver más"
+CREATE TABLE IF NOT EXISTS bot_catalog_searches (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    line_id VARCHAR(64) NULL,
+    user_phone VARCHAR(50) NOT NULL,
+    query_text TEXT NOT NULL,
+    filters JSON NOT NULL,
+    total_results INT NOT NULL DEFAULT 0,
+    shown INT NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_bot_catalog_searches_user (user_phone, updated_at)
+);
@@ -0,0 +1,17 @@
+-- Paso de campaña que envía el pin de un lugar (ej: el proyecto) como ubicación nativa de WhatsApp
+INSERT INTO message_types (type_code, name, description)
+SELECT 'LOCATION', 'Ubicación', 'Pin de mapa con nombre y dirección'
+WHERE NOT EXISTS (SELECT 1 FROM message_types WHERE type_code = 'LOCATION');
+
+-- Ubicación de cada mensaje LOCATION
+CREATE TABLE IF NOT EXISTS message_locations (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    message_id INT NOT NULL,
+    latitude DECIMAL(10, 7) NOT NULL,
+    longitude DECIMAL(10, 7) NOT NULL,
+    name VARCHAR(150) NULL,
+    address VARCHAR(255) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME NULL,
+    UNIQUE KEY uq_message_locations_message (message_id)
+);
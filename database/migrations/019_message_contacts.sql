@@ -0,0 +1,22 @@
+-- Paso de campaña que envía la tarjeta de contacto (vCard) de un asesor
+INSERT INTO message_types (type_code, name, description)
+SELECT 'CONTACT', 'Contacto', 'Tarjeta de contacto del asesor para que el lead la guarde'
+WHERE NOT EXISTS (SELECT 1 FROM message_types WHERE type_code = 'CONTACT');
+
+-- Datos del asesor que van en la tarjeta (company NULL = config2.contactCard.defaultCompany)
+ALTER TABLE advisors
+    ADD COLUMN email VARCHAR(150) NULL AFTER whatsapp_number,
+    ADD COLUMN company VARCHAR(150) NULL AFTER email;
+
+-- Asesor de cada mensaje CONTACT
+-- use_conversation_advisor: enviar el asesor asignado a la conversación; advisor_id es el
+-- asesor fijo (o el de respaldo si la conversación no tiene asesor asignado)
+CREATE TABLE IF NOT EXISTS message_contacts (
+    id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    message_id INT NOT NULL,
+    advisor_id INT NULL,
+    use_conversation_advisor BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME NULL,
+    UNIQUE KEY uq_message_contacts_message (message_id)
+);
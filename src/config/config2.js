@@ -14,5 +14,142 @@ module.exports = {
         day: 10
     },
     messageDelay: 2,
+    whatsapp: {
+        // Línea usada cuando la petición no indica lineId
+        defaultLineId: 'default',
+        // 'mysql' = RemoteAuth con la sesión en la BD (sobrevive reinicios), 'local' = LocalAuth en .wwebjs_auth
+        sessionStore: 'mysql',
+        // Cada cuánto RemoteAuth respalda la sesión en la BD (mínimo 60000)
+        sessionBackupIntervalMs: 5 * 60 * 1000
+    },
+    shutdown: {
+        // Plazo para seguir enviando los jobs que vencen al apagar
+        drainTimeoutMs: 30000,
+        // Espera extra para el envío en curso después de detener el dispatcher
+        checkpointGraceMs: 10000
+    },
+    dispatcher: {
+        pollIntervalMs: 2000,
+        batchSize: 10,
+        // Reintentos por mensaje ante errores que no son de conexión
+        maxAttempts: 3,
+        retryDelaySeconds: 30,
+        // Jobs en PROCESSING más viejos que esto se devuelven a la cola (al iniciar y cada staleCheckIntervalMs)
+        staleLockMinutes: 10,
+        staleCheckIntervalMs: 60000
+    },
+    webhooks: {
+        pollIntervalMs: 5000,
+        batchSize: 20,
+        // Intentos por entrega; la espera entre intentos se duplica (30s, 1m, 2m, ...) hasta maxDelaySeconds
+        maxAttempts: 8,
+        baseDelaySeconds: 30,
+        maxDelaySeconds: 60 * 60,
+        timeoutMs: 10000
+    },
+    reconciler: {
+        intervalMs: 5 * 60 * 1000,
+        // Conversaciones abiertas sin enviar mensajes hace más de esto se consideran colgadas
+        staleMinutes: 15,
+        // Las colgadas más antiguas que esto se cierran como FAILED en vez de reanudarse
+        maxResumeAgeMinutes: 24 * 60
+    },
+    reconnect: {
+        maxAttempts: 5,
+        baseDelayMs: 5000,
+        maxDelayMs: 300000,
+        readyTimeoutMs: 90000
+    },
+    optOut: {
+        // Frases de una palabra deben ser el mensaje completo; las de varias pueden estar dentro del mensaje
+        phrases: ['stop', 'baja', 'no me escriban', 'no me escribas', 'no quiero recibir mensajes'],
+        optInPhrases: ['alta'],
+        confirmationMessage: 'Listo, no volverás a recibir mensajes nuestros. Si cambias de opinión, escribe ALTA.',
+        optInConfirmationMessage: '¡Bienvenido de nuevo! Ya puedes volver a recibir nuestra información.'
+    },
+    qualification: {
+        defaultReprompt: 'No pude entender tu respuesta 🙏 ¿Podrías intentarlo de nuevo?',
+        // Sin respuesta a una pregunta después de esto, la conversación se cierra
+        answerTimeoutMinutes: 24 * 60
+    },
+    flow: {
+        menuReprompt: 'Por favor responde con el número de una de las opciones 👇',
+        // Intentos inválidos antes de seguir con el flujo sin elegir rama
+        maxMenuAttempts: 3
+    },
+    assignment: {
+        // ROUND_ROBIN | LEAST_LOADED | STICKY (el asesor que ya atendió al lead; si no, round-robin)
+        defaultStrategy: 'ROUND_ROBIN',
+        // Ventana en la que se cuentan los leads asignados para LEAST_LOADED y max_active_leads
+        loadWindowHours: 7 * 24
+    },
+    visits: {
+        slotsOffered: 5,
+        // No ofrecer horarios que empiezan antes de esto
+        minLeadHours: 2,
+        lookaheadDays: 14,
+        // Tiempo para elegir un horario ofrecido
+        offerTtlHours: 24,
+        maxAttempts: 3,
+        reminderHoursBefore: 24,
+        cancelPhrases: ['cancelar visita', 'cancelar mi visita', 'cancelar cita', 'anular visita'],
+        reschedulePhrases: ['reprogramar', 'reprogramar visita', 'reprogramar mi visita', 'cambiar visita', 'cambiar mi visita', 'cambiar fecha'],
+        invalidChoiceMessage: 'Responde con el número del horario que prefieras 👇',
+        slotTakenMessage: 'Ese horario se acaba de llenar 😕 Estos son los que quedan:',
+        noSlotsMessage: 'Por ahora no tenemos horarios de visita disponibles. Un asesor te contactará para coordinar 🙌',
+        rescheduleMessage: 'Claro {nombre}, elige el nuevo horario para tu visita a *{proyecto}*:',
+        confirmationMessage: '✅ ¡Listo {nombre}! Tu visita a *{proyecto}* quedó agendada para el *{fecha}*.\n📍 {direccion}\n\nSi necesitas cambiarla responde *REPROGRAMAR*, o *CANCELAR VISITA* si no podrás asistir.',
+        reminderMessage: '⏰ Hola {nombre}, te recordamos tu visita a *{proyecto}* el *{fecha}*.\n📍 {direccion}\n\nSi necesitas cambiarla responde *REPROGRAMAR*, o *CANCELAR VISITA* si no podrás asistir.',
+        cancelledMessage: 'Listo, cancelamos tu visita del {fecha}. Cuando quieras agendar otra, escríbenos 🙌'
+    },
+    catalog: {
+        // Tarjetas por página de resultados
+        pageSize: 3,
+        // Tiempo en el que "ver más" sigue la última búsqueda del lead
+        searchTtlHours: 2,
+        // Montos menores no se toman como precio (ej: el "2" de "2 dormitorios")
+        minPriceValue: 1000,
+        morePhrases: ['ver mas', 'mas opciones', 'mas resultados', 'siguiente'],
+        resultsMessage: 'Encontré {total} opciones para ti, {nombre} 🏠',
+        moreMessage: 'Responde *VER MÁS* para ver más opciones.',
+        noMoreMessage: 'Esas son todas las opciones que tenemos para tu búsqueda 🙌',
+        noResultsMessage: 'No encontré inmuebles disponibles con esas características 😕 Prueba con otro distrito o presupuesto, o escríbenos y un asesor te ayudará.'
+    },
+    contactCard: {
+        // Empresa de la tarjeta de contacto de los asesores sin empresa propia
+        defaultCompany: process.env.CONTACT_CARD_COMPANY || ''
+    },
+    handoff: {
+        // Número que recibe las respuestas de los leads sin asesor asignado (vacío = solo cola en /handoffs)
+        advisorNumber: process.env.HANDOFF_ADVISOR_NUMBER || '',
+        // Horas después de completar una conversación en las que una respuesta se deriva
+        replyWindowHours: 72
+    },
+    auth: {
+        // Secreto para firmar los bearer tokens (POST /auth/token)
+        tokenSecret: process.env.API_TOKEN_SECRET || '',
+        tokenTtlSeconds: 8 * 60 * 60,
+        // API keys con sus scopes ('*' = todos) y el rol de la BD de roles con el que actúan
+        // (null = sin rol: no puede usar endpoints que exigen permisos). Las keys vacías se ignoran
+        apiKeys: [
+            {
+                name: 'admin',
+                key: process.env.ADMIN_API_KEY || '',
+                scopes: ['*'],
+                role: process.env.ADMIN_API_KEY_ROLE || 'admin'
+            },
+            {
+                name: 'monitor',
+                key: process.env.MONITOR_API_KEY || '',
+                scopes: ['status:read'],
+                role: null
+            }
+        ],
+        // Orígenes permitidos por CORS
+        allowedOrigins: [
+            'https://whatsbotadivisorfronted.onrender.com',
+            'http://localhost:3000'
+        ]
+    },
     frontendMediaUrl: 'https://whatsbotadivisorfronted.onrender.com'
 };
\ No newline at end of file
@@ -0,0 +1,134 @@
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { verifyToken, safeEqual } = require('../utils/token');
+
+/**
+ * Scopes que pueden tener las API keys y los tokens
+ */
+const SCOPES = {
+    STATUS_READ: 'status:read',             // /status, /health, /lines, /events
+    WHATSAPP_CONTROL: 'whatsapp:control',   // iniciar, detener, reintentar, ver QR
+    SESSION_DESTROY: 'session:destroy',     // /cleanup-session, /force-cleanup
+    HANDOFFS_MANAGE: 'handoffs:manage',     // liberar chats derivados a asesor
+    WEBHOOKS_MANAGE: 'webhooks:manage',     // reenviar entregas de webhooks
+    TOKENS_ISSUE: 'tokens:issue'            // POST /auth/token
+};
+
+/**
+ * Busca la API key configurada que coincide con la recibida
+ * @param {string} key - API key recibida
+ * @returns {object|null}
+ */
+function findApiKey(key) {
+    return config.auth.apiKeys.find(apiKey => apiKey.key && safeEqual(apiKey.key, key)) || null;
+}
+
+/**
+ * Verifica si la identidad autenticada tiene un scope
+ * @param {object} auth - req.auth
+ * @param {string} scope - Scope requerido
+ * @returns {boolean}
+ */
+function hasScope(auth, scope) {
+    return !!auth && (auth.scopes.includes('*') || auth.scopes.includes(scope));
+}
+
+/**
+ * Middleware que autentica la petición con API key (header X-API-Key)
+ * o bearer token firmado (header Authorization). Para EventSource, que no
+ * permite headers, se acepta el token en ?access_token=
+ */
+function authenticate(req, res, next) {
+    const apiKey = req.get('X-API-Key');
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.startsWith('Bearer ')
+        ? authorization.substring('Bearer '.length).trim()
+        : req.query.access_token;
+
+    if (apiKey) {
+        const matched = findApiKey(apiKey);
+
+        if (!matched) {
+            logger.warn(`[AUTH] ⛔ API key inválida - ${req.method} ${req.path} - IP: ${req.ip}`);
+            return res.status(401).json({
+                success: false,
+                message: 'API key inválida'
+            });
+        }
+
+        req.auth = { type: 'api_key', name: matched.name, scopes: matched.scopes, role: matched.role || null };
+        return next();
+    }
+
+    if (bearer) {
+        if (!config.auth.tokenSecret) {
+            logger.error('[AUTH] Se recibió un bearer token pero no hay tokenSecret configurado');
+            return res.status(401).json({
+                success: false,
+                message: 'Autenticación por token no disponible'
+            });
+        }
+
+        try {
+            const payload = verifyToken(bearer, config.auth.tokenSecret);
+            req.auth = { type: 'token', name: payload.sub, scopes: payload.scopes || [], role: payload.role || null };
+            return next();
+        } catch (error) {
+            logger.warn(`[AUTH] ⛔ Token rechazado (${error.message}) - ${req.method} ${req.path} - IP: ${req.ip}`);
+            return res.status(401).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    logger.warn(`[AUTH] ⛔ Petición sin credenciales - ${req.method} ${req.path} - IP: ${req.ip}`);
+    res.status(401).json({
+        success: false,
+        message: 'Se requiere API key o bearer token'
+    });
+}
+
+/**
+ * Middleware que exige un scope a la identidad autenticada
+ * @param {string} scope - Scope requerido
+ * @returns {function}
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (hasScope(req.auth, scope)) {
+            return next();
+        }
+
+        logger.warn(`[AUTH] ⛔ "${req.auth ? req.auth.name : 'anónimo'}" sin scope ${scope} - ${req.method} ${req.path} - IP: ${req.ip}`);
+        res.status(403).json({
+            success: false,
+            message: `Scope requerido: ${scope}`
+        });
+    };
+}
+
+/**
+ * Opciones de CORS: solo los orígenes configurados ('*' = cualquiera)
+ */
+const corsOptions = {
+    origin: (origin, callback) => {
+        const allowed = config.auth.allowedOrigins;
+
+        // Peticiones sin Origin (servidor a servidor, curl) no son CORS
+        if (!origin || allowed.includes('*') || allowed.includes(origin)) {
+            return callback(null, true);
+        }
+
+        logger.warn(`[AUTH] Origen no permitido por CORS: ${origin}`);
+        callback(null, false);
+    }
+};
+
+module.exports = {
+    SCOPES,
+    authenticate,
+    requireScope,
+    hasScope,
+    corsOptions
+};
@@ -0,0 +1,59 @@
+const logger = require('../utils/logger');
+const permissionService = require('../services/permission.service');
+
+/**
+ * Middleware que exige uno o más permisos al rol que hace la petición.
+ * El rol es el de la credencial autenticada (el de la API key o el del bearer token),
+ * nunca uno enviado por el cliente. Sus permisos se resuelven en la BD de roles.
+ * @param {...string} required - Permisos requeridos
+ * @returns {function}
+ */
+function requirePermission(...required) {
+    return async (req, res, next) => {
+        const role = req.auth ? req.auth.role : null;
+
+        if (!role) {
+            logger.warn(`[PERMISSION] ⛔ Acceso denegado: "${req.auth ? req.auth.name : 'anónimo'}" sin rol asignado - ${req.method} ${req.path} - IP: ${req.ip}`);
+            return res.status(403).json({
+                success: false,
+                message: 'La credencial no tiene un rol asignado'
+            });
+        }
+
+        try {
+            const resolvedRole = await permissionService.getRoleWithPermissions(role);
+
+            if (!resolvedRole) {
+                logger.warn(`[PERMISSION] ⛔ Acceso denegado: rol inexistente "${role}" - ${req.method} ${req.path} - IP: ${req.ip}`);
+                return res.status(403).json({
+                    success: false,
+                    message: 'Rol no autorizado'
+                });
+            }
+
+            const missing = permissionService.getMissingPermissions(resolvedRole, required);
+
+            if (missing.length > 0) {
+                logger.warn(`[PERMISSION] ⛔ Acceso denegado: rol "${resolvedRole.name}" (ID: ${resolvedRole.id}) sin permiso ${missing.join(', ')} - ${req.method} ${req.path} - IP: ${req.ip}`);
+                return res.status(403).json({
+                    success: false,
+                    message: `Permiso requerido: ${missing.join(', ')}`
+                });
+            }
+
+            req.authorization = { role: resolvedRole };
+            next();
+
+        } catch (error) {
+            logger.error('[PERMISSION] Error verificando permisos:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error verificando permisos: ' + error.message
+            });
+        }
+    };
+}
+
+module.exports = {
+    requirePermission
+};
@@ -4,9 +4,25 @@ const fs = require('fs');
 const path = require('path');
 const config = require('./config/config2');
 const logger = require('./utils/logger');
-const whatsappService = require('./services/whatsapp.service');
+const lineManager = require('./services/line-manager.service');
+const dispatcher = require('./services/dispatcher.service');
+const reconciler = require('./services/reconciler.service');
+const followupService = require('./services/followup.service');
+const webhookDispatcher = require('./services/webhook-dispatcher.service');
+const webhookService = require('./services/webhook.service');
+const advisorService = require('./services/advisor.service');
+const handoffService = require('./services/handoff.service');
+const fallbackService = require('./services/fallback.service');
+const conversationService = require('./services/conversation.service');
+const inboundService = require('./services/inbound.service');
+const qualificationService = require('./services/qualification.service');
 const dbRoles = require('./config/database');
 const dbInmobiliaria = require('./config/database2');
+const eventBus = require('./utils/event-bus');
+const { PERMISSIONS } = require('./services/permission.service');
+const { requirePermission } = require('./middlewares/permission.middleware');
+const { SCOPES, authenticate, requireScope, hasScope, corsOptions } = require('./middlewares/auth.middleware');
+const { signToken } = require('./utils/token');
 
 const app = express();
 const PORT = config.server.port || 3002;
@@ -14,11 +30,13 @@ const PORT = config.server.port || 3002;
 
 
 // Estado global
-let cleanupInProgress = false;
-let initializationTimeout = null;
+const cleanupInProgress = new Set();
+const initializationTimeouts = new Map();
+let httpServer = null;
+let shuttingDown = false;
 
 // Middlewares
-app.use(cors());
+app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -28,22 +46,83 @@ app.use((req, res, next) => {
     next();
 });
 
+// Autenticación con API key o bearer token (todo excepto la raíz)
+app.use((req, res, next) => {
+    if (req.path === '/') return next();
+    authenticate(req, res, next);
+});
+
+// ==================== FUNCIONES DE LÍNEAS ====================
+
+/**
+ * Obtiene el ID de línea de la petición (body o query), con la línea por defecto como respaldo
+ * @param {object} req - Petición de Express
+ * @returns {string}
+ */
+function resolveLineId(req) {
+    return (req.body && req.body.lineId) || req.query.lineId || config.whatsapp.defaultLineId;
+}
+
+/**
+ * Limpia el timeout de inicialización de una línea
+ * @param {string} lineId - ID de la línea
+ */
+function clearInitializationTimeout(lineId) {
+    const timeout = initializationTimeouts.get(lineId);
+
+    if (timeout) {
+        clearTimeout(timeout);
+        initializationTimeouts.delete(lineId);
+    }
+}
+
+/**
+ * Estado de una línea, aunque todavía no esté registrada
+ * @param {string} lineId - ID de la línea
+ * @returns {object}
+ */
+function getLineStatus(lineId) {
+    const line = lineManager.getLine(lineId);
+
+    return line ? line.getStatus() : {
+        lineId,
+        isReady: false,
+        isInitializing: false,
+        hasQR: false,
+        role: null,
+        botNumber: null,
+        campaignIds: null,
+        reconnect: null
+    };
+}
+
 // ==================== FUNCIONES DE LIMPIEZA Y SALUD ====================
 
 /**
  * Limpia las carpetas de sesión de WhatsApp
+ * @param {string|null} lineId - Línea a limpiar (null = todas las sesiones y la caché)
  * @param {number} retries - Número de reintentos
  */
-async function cleanupSessionFolders(retries = 3) {
-    if (cleanupInProgress) {
-        logger.warn('[CLEANUP] Limpieza ya en progreso, esperando...');
+async function cleanupSessionFolders(lineId = null, retries = 3) {
+    const cleanupKey = lineId || '*';
+
+    if (cleanupInProgress.has(cleanupKey)) {
+        logger.warn(`[CLEANUP] Limpieza ya en progreso (${cleanupKey}), esperando...`);
         return false;
     }
 
-    cleanupInProgress = true;
-        logger.info('[CLEANUP] 🧹 Iniciando limpieza de carpetas de sesión...');
+    cleanupInProgress.add(cleanupKey);
+        logger.info(`[CLEANUP] 🧹 Iniciando limpieza de carpetas de sesión (${cleanupKey})...`);
 
-    const foldersToClean = ['.wwebjs_auth', '.wwebjs_cache'];
+    // LocalAuth guarda cada línea en .wwebjs_auth/session-<lineId>; RemoteAuth usa
+    // .wwebjs_auth/RemoteAuth-<lineId> como copia local de la sesión guardada en la BD
+    const foldersToClean = lineId
+        ? [
+            path.join('.wwebjs_auth', `session-${lineId}`),
+            path.join('.wwebjs_auth', `RemoteAuth-${lineId}`),
+            path.join('.wwebjs_auth', `wwebjs_temp_session_${lineId}`)
+        ]
+        : ['.wwebjs_auth', '.wwebjs_cache'];
 
     for (const folder of foldersToClean) {
         const folderPath = path.join(__dirname, '..', folder);
@@ -88,55 +167,70 @@ async function cleanupSessionFolders(retries = 3) {
         }
     }
 
-    cleanupInProgress = false;
-    logger.info('[CLEANUP] 🧹 Limpieza completada');
+    cleanupInProgress.delete(cleanupKey);
+    logger.info(`[CLEANUP] 🧹 Limpieza completada (${cleanupKey})`);
     return true;
 }
 
 /**
- * Verifica la salud de la sesión (detecta carpetas huérfanas)
+ * Verifica la salud de las sesiones: informa las carpetas de sesión de líneas sin cliente activo.
+ * No borra nada: la línea reutiliza su sesión al iniciar; borrarla es una acción explícita
+ * (/cleanup-session, /force-cleanup o logout)
+ * @param {string|null} lineId - Línea a verificar (null = todas las carpetas de sesión)
  */
-async function verifySessionHealth() {
+async function verifySessionHealth(lineId = null) {
     const authPath = path.join(__dirname, '..', '.wwebjs_auth');
-    const cachePath = path.join(__dirname, '..', '.wwebjs_cache');
-    const status = whatsappService.getStatus();
 
-    // Si hay carpetas pero no hay sesión activa, limpiar
-    if ((fs.existsSync(authPath) || fs.existsSync(cachePath)) &&
-        !status.isReady && !status.isInitializing) {
+    if (!fs.existsSync(authPath)) return;
 
-        logger.warn('[HEALTH] ⚠️ Detectadas carpetas de sesión huérfanas, limpiando...');
-        await cleanupSessionFolders();
+    const sessionLineIds = fs.readdirSync(authPath)
+        .map(folder => folder.match(/^(?:session|RemoteAuth)-([-_\w]+)$/))
+        .filter(match => match !== null)
+        .map(match => match[1])
+        .filter((id, index, ids) => ids.indexOf(id) === index)
+        .filter(id => !lineId || id === lineId);
+
+    for (const id of sessionLineIds) {
+        const status = getLineStatus(id);
+
+        if (!status.isReady && !status.isInitializing) {
+            logger.info(`[HEALTH] 📁 Sesión guardada de la línea ${id} sin cliente activo, se reutilizará al iniciarla`);
+        }
     }
 }
 
 /**
- * Maneja errores de WhatsApp y limpia el estado
+ * Maneja errores de WhatsApp de una línea: destruye el cliente y, si se pide, reconecta desde
+ * la sesión guardada. La sesión no se borra (eso solo lo hacen /cleanup-session, /force-cleanup y logout)
+ * @param {string} lineId - ID de la línea
  * @param {string} errorMessage - Mensaje de error
+ * @param {object} options
+ * @param {boolean} options.reconnect - Reconectar automáticamente (false si quien llama reinicia la línea)
  */
-async function handleWhatsAppError(errorMessage) {
-    logger.error(`[ERROR-HANDLER] ❌ Error de WhatsApp: ${errorMessage}`);
+async function handleWhatsAppError(lineId, errorMessage, { reconnect = true } = {}) {
+    logger.error(`[ERROR-HANDLER] ❌ Error de WhatsApp en línea ${lineId}: ${errorMessage}`);
 
     // Limpiar timeout si existe
-    if (initializationTimeout) {
-        clearTimeout(initializationTimeout);
-        initializationTimeout = null;
-    }
+    clearInitializationTimeout(lineId);
 
     try {
-        // Destruir cliente
-        if (whatsappService.isClientReady() || whatsappService.getStatus().isInitializing) {
-            logger.info('[ERROR-HANDLER] Deteniendo cliente...');
-            await whatsappService.destroy();
+        const line = lineManager.getLine(lineId);
+
+        if (!line || !(line.isClientReady() || line.getStatus().isInitializing)) {
+            return;
         }
 
+        logger.info('[ERROR-HANDLER] Deteniendo cliente...');
+        await line.destroy();
+
         // Esperar a que se liberen recursos
         await new Promise(resolve => setTimeout(resolve, 3000));
 
-        // Limpiar carpetas
-        await cleanupSessionFolders();
+        if (reconnect) {
+            line.reconnectSupervisor.start(errorMessage);
+        }
 
-        logger.info('[ERROR-HANDLER] ✅ Error manejado, estado limpiado');
+        logger.info('[ERROR-HANDLER] ✅ Error manejado, cliente detenido');
 
     } catch (error) {
         logger.error('[ERROR-HANDLER] Error durante manejo de error:', error);
@@ -145,32 +239,137 @@ async function handleWhatsAppError(errorMessage) {
 
 // ==================== ENDPOINTS ====================
 
+/**
+ * POST /auth/token
+ * Emite un bearer token firmado con un subconjunto de los scopes de la API key
+ */
+app.post('/auth/token', requireScope(SCOPES.TOKENS_ISSUE), (req, res) => {
+    try {
+        const { scopes, role, expiresIn } = req.body;
+
+        if (!config.auth.tokenSecret) {
+            return res.status(503).json({
+                success: false,
+                message: 'No hay tokenSecret configurado'
+            });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "scopes" debe ser un arreglo no vacío'
+            });
+        }
+
+        // Un token nunca puede tener más scopes que la credencial que lo emite
+        const notAllowed = scopes.filter(scope => !hasScope(req.auth, scope));
+        if (notAllowed.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `No puedes emitir los scopes: ${notAllowed.join(', ')}`
+            });
+        }
+
+        // El token actúa con el rol de la credencial que lo emite
+        if (role && role !== req.auth.role) {
+            return res.status(403).json({
+                success: false,
+                message: 'No puedes emitir tokens con otro rol'
+            });
+        }
+
+        const ttlSeconds = Math.min(
+            parseInt(expiresIn, 10) || config.auth.tokenTtlSeconds,
+            config.auth.tokenTtlSeconds
+        );
+
+        const token = signToken({ sub: req.auth.name, scopes, role: req.auth.role }, config.auth.tokenSecret, ttlSeconds);
+
+        logger.info(`[API] 🔑 Token emitido por "${req.auth.name}" - Scopes: ${scopes.join(', ')} - Vigencia: ${ttlSeconds}s`);
+
+        res.json({
+            success: true,
+            token,
+            expiresIn: ttlSeconds
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en /auth/token:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error emitiendo token: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /lines
+ * Lista todas las líneas registradas con su estado
+ */
+app.get('/lines', requireScope(SCOPES.STATUS_READ), async (req, res) => {
+    try {
+        const lines = lineManager.listLines();
+
+        res.json({
+            success: true,
+            total: lines.length,
+            lines: lines.map(status => ({
+                lineId: status.lineId,
+                status: status.isReady ? 'connected' : status.isInitializing ? 'initializing' : 'disconnected',
+                hasQR: status.hasQR,
+                role: status.role,
+                botNumber: status.botNumber,
+                campaignIds: status.campaignIds,
+                reconnecting: status.reconnect.active
+            }))
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en /lines:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando líneas: ' + error.message
+        });
+    }
+});
+
 /**
  * POST /start-whatsapp
- * Inicia el bot de WhatsApp con rol y permisos
+ * Inicia una línea de WhatsApp con rol y permisos
  */
-app.post('/start-whatsapp', async (req, res) => {
+app.post('/start-whatsapp', requireScope(SCOPES.WHATSAPP_CONTROL), requirePermission(PERMISSIONS.START), async (req, res) => {
     try {
-        const { role, permissions } = req.body;
+        const { campaignIds } = req.body;
+        const { role } = req.authorization;
+        const lineId = resolveLineId(req);
 
-        logger.info(`[API] 🚀 Solicitud de inicio de WhatsApp - Rol: ${role}`);
+        logger.info(`[API] 🚀 Solicitud de inicio de WhatsApp - Línea: ${lineId} - Rol: ${role.name}`);
 
-        // Validar rol
-        if (!role) {
+        if (!lineManager.isValidLineId(lineId)) {
             return res.status(400).json({
                 success: false,
-                message: 'El campo "role" es requerido'
+                message: 'El campo "lineId" solo admite letras, números, "_" y "-"'
             });
         }
 
+        if (campaignIds !== undefined && campaignIds !== null && !Array.isArray(campaignIds)) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "campaignIds" debe ser un arreglo'
+            });
+        }
+
+        const line = lineManager.getOrCreateLine(lineId, { campaignIds });
+
         // Verificar estado actual
-        const status = whatsappService.getStatus();
+        const status = line.getStatus();
 
         if (status.isReady) {
             return res.json({
                 success: true,
                 message: 'WhatsApp ya está conectado',
                 status: 'connected',
+                lineId,
                 role: status.role,
                 qr: null
             });
@@ -181,32 +380,30 @@ app.post('/start-whatsapp', async (req, res) => {
                 success: true,
                 message: 'WhatsApp se está inicializando',
                 status: 'initializing',
+                lineId,
                 role: status.role,
-                qr: whatsappService.getQRCode()
+                qr: line.getQRCode()
             });
         }
 
         // Verificar salud de sesión antes de iniciar
-        await verifySessionHealth();
+        await verifySessionHealth(lineId);
 
         // Establecer timeout de inicialización (30 segundos)
-        initializationTimeout = setTimeout(async () => {
-            logger.error('[API] ⏰ Timeout de inicialización (30s), limpiando...');
-            await handleWhatsAppError('Timeout al iniciar WhatsApp');
-        }, 30000);
+        initializationTimeouts.set(lineId, setTimeout(async () => {
+            logger.error(`[API] ⏰ Timeout de inicialización (30s) en línea ${lineId}, reconectando...`);
+            await handleWhatsAppError(lineId, 'Timeout al iniciar WhatsApp');
+        }, 30000));
 
-        // Iniciar WhatsApp (proceso asíncrono)
-        whatsappService.initialize(role, permissions || [])
+        // Iniciar WhatsApp (proceso asíncrono) con los permisos resueltos desde la BD de roles
+        line.initialize(role.name, role.permissions)
             .then(() => {
-                if (initializationTimeout) {
-                    clearTimeout(initializationTimeout);
-                    initializationTimeout = null;
-                }
-                logger.info('[API] ✅ WhatsApp inicializado correctamente');
+                clearInitializationTimeout(lineId);
+                logger.info(`[API] ✅ WhatsApp inicializado correctamente en línea ${lineId}`);
             })
             .catch(async (error) => {
-                logger.error('[API] ❌ Error inicializando WhatsApp:', error);
-                await handleWhatsAppError(`Error de inicialización: ${error.message}`);
+                logger.error(`[API] ❌ Error inicializando WhatsApp en línea ${lineId}:`, error);
+                await handleWhatsAppError(lineId, `Error de inicialización: ${error.message}`);
             });
 
         // Responder inmediatamente
@@ -214,7 +411,8 @@ app.post('/start-whatsapp', async (req, res) => {
             success: true,
             message: 'Inicialización de WhatsApp en progreso',
             status: 'initializing',
-            role: role,
+            lineId,
+            role: role.name,
             qr: null
         });
 
@@ -231,16 +429,19 @@ app.post('/start-whatsapp', async (req, res) => {
  * GET /get-qr
  * Obtiene el código QR actual o el estado de conexión
  */
-app.get('/get-qr', async (req, res) => {
+app.get('/get-qr', requireScope(SCOPES.WHATSAPP_CONTROL), async (req, res) => {
     try {
-        const status = whatsappService.getStatus();
-        const qrCode = whatsappService.getQRCode();
+        const lineId = resolveLineId(req);
+        const line = lineManager.getLine(lineId);
+        const status = getLineStatus(lineId);
+        const qrCode = line ? line.getQRCode() : null;
 
         if (status.isReady) {
             return res.json({
                 status: 'connected',
                 qr: null,
                 message: 'WhatsApp está conectado',
+                lineId,
                 role: status.role,
                 timestamp: new Date().toISOString()
             });
@@ -251,6 +452,7 @@ app.get('/get-qr', async (req, res) => {
                 status: 'qr_ready',
                 qr: qrCode,
                 message: 'Escanea el código QR',
+                lineId,
                 role: status.role,
                 timestamp: new Date().toISOString()
             });
@@ -261,6 +463,7 @@ app.get('/get-qr', async (req, res) => {
                 status: 'initializing',
                 qr: null,
                 message: 'Generando código QR...',
+                lineId,
                 role: status.role,
                 timestamp: new Date().toISOString()
             });
@@ -270,6 +473,7 @@ app.get('/get-qr', async (req, res) => {
             status: 'disconnected',
             qr: null,
             message: 'WhatsApp no está conectado',
+            lineId,
             timestamp: new Date().toISOString()
         });
 
@@ -285,34 +489,36 @@ app.get('/get-qr', async (req, res) => {
 
 /**
  * POST /stop-whatsapp
- * Detiene el bot de WhatsApp
+ * Detiene una línea de WhatsApp
  */
-app.post('/stop-whatsapp', async (req, res) => {
+app.post('/stop-whatsapp', requireScope(SCOPES.WHATSAPP_CONTROL), requirePermission(PERMISSIONS.STOP), async (req, res) => {
     try {
-        logger.info('[API] 🛑 Solicitud de detener WhatsApp');
+        const lineId = resolveLineId(req);
+
+        logger.info(`[API] 🛑 Solicitud de detener WhatsApp - Línea: ${lineId}`);
 
-        const status = whatsappService.getStatus();
+        const line = lineManager.getLine(lineId);
+        const status = getLineStatus(lineId);
 
         if (!status.isReady && !status.isInitializing) {
             return res.json({
                 success: true,
                 message: 'WhatsApp ya está detenido',
-                status: 'disconnected'
+                status: 'disconnected',
+                lineId
             });
         }
 
         // Limpiar timeout si existe
-        if (initializationTimeout) {
-            clearTimeout(initializationTimeout);
-            initializationTimeout = null;
-        }
+        clearInitializationTimeout(lineId);
 
-        await whatsappService.destroy();
+        await line.destroy();
 
         res.json({
             success: true,
             message: 'WhatsApp detenido exitosamente',
-            status: 'disconnected'
+            status: 'disconnected',
+            lineId
         });
 
     } catch (error) {
@@ -326,29 +532,32 @@ app.post('/stop-whatsapp', async (req, res) => {
 
 /**
  * POST /cleanup-session
- * Limpia la sesión de WhatsApp (fuerza nuevo escaneo de QR)
+ * Cierra la sesión de una línea de WhatsApp y la borra de la BD (fuerza nuevo escaneo de QR)
  */
-app.post('/cleanup-session', async (req, res) => {
+app.post('/cleanup-session', requireScope(SCOPES.SESSION_DESTROY), requirePermission(PERMISSIONS.CLEANUP), async (req, res) => {
     try {
-        logger.info('[API] 🧹 Solicitud de limpieza de sesión');
+        const lineId = resolveLineId(req);
 
-        // Limpiar timeout
-        if (initializationTimeout) {
-            clearTimeout(initializationTimeout);
-            initializationTimeout = null;
-        }
+        logger.info(`[API] 🧹 Solicitud de limpieza de sesión - Línea: ${lineId}`);
 
-        // Detener cliente si está activo
-        const status = whatsappService.getStatus();
-        if (status.isReady || status.isInitializing) {
-            await whatsappService.destroy();
+        if (!lineManager.isValidLineId(lineId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "lineId" solo admite letras, números, "_" y "-"'
+            });
         }
 
+        // Limpiar timeout
+        clearInitializationTimeout(lineId);
+
+        // Cerrar sesión (borra la sesión guardada) y quitar la línea del registro
+        await lineManager.logoutLine(lineId);
+
         // Esperar a que se cierre completamente
         await new Promise(resolve => setTimeout(resolve, 3000));
 
         // Limpiar carpetas
-        const cleaned = await cleanupSessionFolders();
+        const cleaned = await cleanupSessionFolders(lineId);
 
         res.json({
             success: true,
@@ -356,7 +565,8 @@ app.post('/cleanup-session', async (req, res) => {
                 ? 'Sesión limpiada exitosamente. Puedes iniciar WhatsApp nuevamente.'
                 : 'Hubo problemas al limpiar la sesión. Verifica manualmente.',
             cleaned,
-            status: 'disconnected'
+            status: 'disconnected',
+            lineId
         });
 
     } catch (error) {
@@ -368,20 +578,26 @@ app.post('/cleanup-session', async (req, res) => {
             }
 });
 
-app.post('/force-cleanup', async (req, res) => {
+app.post('/force-cleanup', requireScope(SCOPES.SESSION_DESTROY), requirePermission(PERMISSIONS.FORCE_CLEANUP), async (req, res) => {
     try {
-        logger.info('[API] 🧹💪 Solicitud de limpieza FORZADA');
+        const lineId = resolveLineId(req);
 
-        // Limpiar timeout
-        if (initializationTimeout) {
-            clearTimeout(initializationTimeout);
-            initializationTimeout = null;
+        logger.info(`[API] 🧹💪 Solicitud de limpieza FORZADA - Línea: ${lineId}`);
+
+        if (!lineManager.isValidLineId(lineId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'El campo "lineId" solo admite letras, números, "_" y "-"'
+            });
         }
 
+        // Limpiar timeout
+        clearInitializationTimeout(lineId);
+
         // Destruir cliente sin esperar mucho
         try {
             await Promise.race([
-                whatsappService.destroy(),
+                lineManager.logoutLine(lineId),
                 new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
             ]);
         } catch (e) {
@@ -392,7 +608,7 @@ app.post('/force-cleanup', async (req, res) => {
         await new Promise(resolve => setTimeout(resolve, 5000));
 
         // Limpiar con más reintentos
-        const cleaned = await cleanupSessionFolders(5);
+        const cleaned = await cleanupSessionFolders(lineId, 5);
 
         res.json({
             success: cleaned,
@@ -400,7 +616,8 @@ app.post('/force-cleanup', async (req, res) => {
                 ? 'Limpieza forzada exitosa. Reinicia el servidor si persisten problemas.'
                 : 'No se pudo limpiar. Reinicia el servidor y elimina carpetas manualmente.',
             cleaned,
-            status: 'disconnected'
+            status: 'disconnected',
+            lineId
         });
 
     } catch (error) {
@@ -412,39 +629,42 @@ app.post('/force-cleanup', async (req, res) => {
     }
 });
 
-app.post('/retry-connection', async (req, res) => {
+// El reintento limpia la sesión y vuelve a iniciar: requiere ambos permisos
+app.post('/retry-connection', requireScope(SCOPES.SESSION_DESTROY), requireScope(SCOPES.WHATSAPP_CONTROL), requirePermission(PERMISSIONS.CLEANUP, PERMISSIONS.START), async (req, res) => {
     try {
-        const { role, permissions } = req.body;
+        const { role } = req.authorization;
+        const lineId = resolveLineId(req);
 
-        logger.info('[API] 🔄 Reintento de conexión solicitado');
+        logger.info(`[API] 🔄 Reintento de conexión solicitado - Línea: ${lineId} - Rol: ${role.name}`);
 
-        if (!role) {
+        if (!lineManager.isValidLineId(lineId)) {
             return res.status(400).json({
                 success: false,
-                message: 'El campo "role" es requerido'
+                message: 'El campo "lineId" solo admite letras, números, "_" y "-"'
             });
         }
 
-        // Limpiar sesión actual
-        await handleWhatsAppError('Reintento manual de conexión');
+        // Detener el cliente actual (la sesión guardada se conserva)
+        await handleWhatsAppError(lineId, 'Reintento manual de conexión', { reconnect: false });
 
-        // Esperar a que se limpie
+        // Esperar a que se liberen recursos
         await new Promise(resolve => setTimeout(resolve, 3000));
 
         // Iniciar nuevamente
-        whatsappService.initialize(role, permissions || [])
+        lineManager.getOrCreateLine(lineId).initialize(role.name, role.permissions)
             .then(() => {
-                logger.info('[API] ✅ WhatsApp reiniciado correctamente');
+                logger.info(`[API] ✅ WhatsApp reiniciado correctamente en línea ${lineId}`);
             })
             .catch(async (error) => {
-                logger.error('[API] ❌ Error reiniciando WhatsApp:', error);
-                await handleWhatsAppError(`Error de reinicio: ${error.message}`);
+                logger.error(`[API] ❌ Error reiniciando WhatsApp en línea ${lineId}:`, error);
+                await handleWhatsAppError(lineId, `Error de reinicio: ${error.message}`);
             });
 
         res.json({
             success: true,
             message: 'Reintentando conexión...',
-            status: 'initializing'
+            status: 'initializing',
+            lineId
         });
 
     } catch (error) {
@@ -458,19 +678,23 @@ app.post('/retry-connection', async (req, res) => {
 
 /**
  * GET /status
- * Obtiene el estado general del bot
+ * Obtiene el estado general del bot y de una línea
  */
-app.get('/status', async (req, res) => {
+app.get('/status', requireScope(SCOPES.STATUS_READ), async (req, res) => {
     try {
-        const status = whatsappService.getStatus();
+        const lineId = resolveLineId(req);
+        const status = getLineStatus(lineId);
 
         res.json({
             success: true,
             whatsapp: {
+                lineId,
                 connected: status.isReady,
                 initializing: status.isInitializing,
                 hasQR: status.hasQR,
-                role: status.role
+                role: status.role,
+                botNumber: status.botNumber,
+                reconnect: status.reconnect
             },
             server: {
                 uptime: process.uptime(),
@@ -478,8 +702,11 @@ app.get('/status', async (req, res) => {
                 nodeVersion: process.version
             },
             cleanup: {
-                inProgress: cleanupInProgress
-            }
+                inProgress: cleanupInProgress.size > 0
+            },
+            dispatcher: dispatcher.getStatus(),
+            reconciler: reconciler.getStatus(),
+            webhooks: webhookDispatcher.getStatus()
         });
 
     } catch (error) {
@@ -491,17 +718,324 @@ app.get('/status', async (req, res) => {
     }
 }); 
 
+/**
+ * GET /events
+ * Stream (Server-Sent Events) con el estado de las líneas y el ciclo de vida de conversaciones
+ * Filtros opcionales: ?lineId=ventas1&types=qr,ready
+ */
+app.get('/events', requireScope(SCOPES.STATUS_READ), (req, res) => {
+    const lineId = req.query.lineId || null;
+    const types = req.query.types
+        ? req.query.types.split(',').map(type => type.trim()).filter(type => type.length > 0)
+        : null;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    logger.info(`[SSE] Cliente conectado - IP: ${req.ip} - Línea: ${lineId || 'todas'}`);
+
+    // El QR permite vincular la línea: solo se envía a quien puede controlarla
+    const canSeeQR = hasScope(req.auth, SCOPES.WHATSAPP_CONTROL);
+
+    const sendEvent = (event) => {
+        if (types && !types.includes(event.type)) return;
+
+        // Los eventos de conversación no siempre traen lineId; solo filtrar los que sí
+        if (lineId && event.data.lineId && event.data.lineId !== lineId) return;
+
+        const data = event.type === 'qr' && !canSeeQR
+            ? { ...event.data, qr: null }
+            : event.data;
+
+        res.write(`event: ${event.type}\n`);
+        res.write(`data: ${JSON.stringify({ ...data, timestamp: event.timestamp })}\n\n`);
+    };
+
+    // Estado inicial de las líneas para que el cliente no tenga que consultar /get-qr
+    const lines = lineId ? [getLineStatus(lineId)] : lineManager.listLines();
+    res.write(`event: status\n`);
+    res.write(`data: ${JSON.stringify({
+        lines: lines.map(status => {
+            const line = lineManager.getLine(status.lineId);
+            return {
+                lineId: status.lineId,
+                status: status.isReady ? 'connected' : status.isInitializing ? 'initializing' : 'disconnected',
+                qr: line && canSeeQR ? line.getQRCode() : null
+            };
+        }),
+        timestamp: new Date().toISOString()
+    })}\n\n`);
+
+    const unsubscribe = eventBus.subscribe(sendEvent);
+
+    // Comentario periódico para que proxies no cierren la conexión
+    const heartbeat = setInterval(() => {
+        res.write(': ping\n\n');
+    }, 25000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        logger.info(`[SSE] Cliente desconectado - IP: ${req.ip}`);
+    });
+});
+
+/**
+ * GET /handoffs
+ * Lista los chats derivados a asesor (?status=OPEN|RELEASED&lineId=)
+ */
+app.get('/handoffs', requireScope(SCOPES.STATUS_READ), async (req, res) => {
+    try {
+        const status = req.query.status === 'RELEASED' ? 'RELEASED' : 'OPEN';
+        const handoffs = await handoffService.listHandoffs({
+            status,
+            lineId: req.query.lineId || null
+        });
+
+        res.json({
+            success: true,
+            status,
+            total: handoffs.length,
+            handoffs
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en /handoffs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando handoffs: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /handoffs/:id/release
+ * Libera un chat derivado: el bot vuelve a responder automáticamente
+ */
+app.post('/handoffs/:id/release', requireScope(SCOPES.HANDOFFS_MANAGE), async (req, res) => {
+    try {
+        const handoffId = parseInt(req.params.id, 10);
+
+        if (!Number.isInteger(handoffId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de handoff inválido'
+            });
+        }
+
+        const releasedBy = req.body.releasedBy || req.auth.name;
+        const released = await handoffService.releaseHandoff(handoffId, releasedBy);
+
+        if (!released) {
+            return res.status(404).json({
+                success: false,
+                message: 'Handoff no encontrado o ya liberado'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Chat liberado, el bot vuelve a responder',
+            handoffId
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en /handoffs/:id/release:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error liberando handoff: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /advisors
+ * Asesores activos con su disponibilidad, campañas y leads asignados en la ventana de carga
+ */
+app.get('/advisors', requireScope(SCOPES.STATUS_READ), async (req, res) => {
+    try {
+        const advisors = await advisorService.listAdvisors();
+
+        res.json({
+            success: true,
+            total: advisors.length,
+            advisors
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en /advisors:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando asesores: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /unmatched-messages
+ * Mensajes que no dispararon ninguna campaña y la respuesta por defecto enviada (?lineId=&limit=)
+ */
+app.get('/unmatched-messages', requireScope(SCOPES.STATUS_READ), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const messages = await fallbackService.getUnmatchedMessages({
+            lineId: req.query.lineId || null,
+            limit
+        });
+
+        res.json({
+            success: true,
+            total: messages.length,
+            messages
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en /unmatched-messages:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando mensajes sin campaña: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /conversations/:id/transcript
+ * Transcripción completa de una conversación (mensajes del lead y del bot)
+ */
+app.get('/conversations/:id/transcript', requireScope(SCOPES.STATUS_READ), async (req, res) => {
+    try {
+        const conversationId = parseInt(req.params.id, 10);
+
+        if (!Number.isInteger(conversationId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de conversación inválido'
+            });
+        }
+
+        const conversation = await conversationService.getConversationById(conversationId);
+
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversación no encontrada'
+            });
+        }
+
+        const transcript = await inboundService.getTranscript(conversationId);
+
+        res.json({
+            success: true,
+            conversation: {
+                id: conversation.id,
+                userPhone: conversation.user_phone,
+                userName: conversation.user_name,
+                campaign: conversation.campaign_name,
+                status: conversation.status,
+                startedAt: conversation.conversation_started_at,
+                endedAt: conversation.conversation_ended_at,
+                qualificationScore: conversation.qualification_score,
+                advisorId: conversation.advisor_id
+            },
+            answers: await qualificationService.getAnswers(conversationId),
+            total: transcript.length,
+            transcript
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en /conversations/:id/transcript:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error obteniendo transcripción: ' + error.message
+        });
+    }
+});
+
+/**
+ * GET /webhooks/deliveries
+ * Log de entregas de webhooks (?status=&endpointId=&event=&limit=)
+ */
+app.get('/webhooks/deliveries', requireScope(SCOPES.STATUS_READ), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const deliveries = await webhookService.listDeliveries({
+            status: req.query.status || null,
+            endpointId: parseInt(req.query.endpointId, 10) || null,
+            eventType: req.query.event || null,
+            limit
+        });
+
+        res.json({
+            success: true,
+            total: deliveries.length,
+            deliveries
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en /webhooks/deliveries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error listando entregas de webhooks: ' + error.message
+        });
+    }
+});
+
+/**
+ * POST /webhooks/deliveries/:id/replay
+ * Vuelve a enviar una entrega (mismo evento y payload) como una entrega nueva
+ */
+app.post('/webhooks/deliveries/:id/replay', requireScope(SCOPES.WEBHOOKS_MANAGE), async (req, res) => {
+    try {
+        const deliveryId = parseInt(req.params.id, 10);
+
+        if (!Number.isInteger(deliveryId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID de entrega inválido'
+            });
+        }
+
+        const replayId = await webhookService.replayDelivery(deliveryId);
+
+        if (!replayId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Entrega no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Entrega encolada para reenvío',
+            deliveryId: replayId,
+            replayOf: deliveryId
+        });
+
+    } catch (error) {
+        logger.error('[API] Error en /webhooks/deliveries/:id/replay:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error reenviando entrega: ' + error.message
+        });
+    }
+});
+
 /**
  * GET /health
  * Endpoint de health check
  */
-app.get('/health', async (req, res) => {
+app.get('/health', requireScope(SCOPES.STATUS_READ), async (req, res) => {
     try {
         // Verificar conexiones a bases de datos
         await dbRoles.query('SELECT 1');
         await dbInmobiliaria.query('SELECT 1');
 
-        const status = whatsappService.getStatus();
+        const lines = lineManager.listLines();
 
         res.json({
             success: true,
@@ -512,8 +1046,11 @@ app.get('/health', async (req, res) => {
                 inmobiliaria: 'connected'
             },
             whatsapp: {
-                status: status.isReady ? 'connected' : status.isInitializing ? 'initializing' : 'disconnected',
-                role: status.role
+                lines: lines.map(status => ({
+                    lineId: status.lineId,
+                    status: status.isReady ? 'connected' : status.isInitializing ? 'initializing' : 'disconnected',
+                    role: status.role
+                }))
             }
         });
 
@@ -536,14 +1073,25 @@ app.get('/', (req, res) => {
         success: true,
         message: 'Bot de WhatsApp Inmobiliaria API',
         version: '2.0.0',
+        authentication: 'Header X-API-Key o Authorization: Bearer <token>',
         endpoints: {
-            'POST /start-whatsapp': 'Iniciar bot de WhatsApp',
-            'GET /get-qr': 'Obtener código QR',
-            'POST /stop-whatsapp': 'Detener bot',
-            'POST /cleanup-session': 'Limpiar sesión',
-            'POST /force-cleanup': 'Limpieza forzada de sesión',
-            'POST /retry-connection': 'Reintentar conexión',
-            'GET /status': 'Estado del sistema',
+            'POST /auth/token': 'Emitir bearer token (scope tokens:issue)',
+            'GET /lines': 'Listar líneas de WhatsApp',
+            'POST /start-whatsapp': 'Iniciar una línea de WhatsApp (lineId) - permiso whatsapp.start',
+            'GET /get-qr': 'Obtener código QR de una línea (?lineId=)',
+            'POST /stop-whatsapp': 'Detener una línea (lineId) - permiso whatsapp.stop',
+            'POST /cleanup-session': 'Limpiar sesión de una línea (lineId) - permiso whatsapp.cleanup',
+            'POST /force-cleanup': 'Limpieza forzada de sesión de una línea (lineId) - permiso whatsapp.force_cleanup',
+            'POST /retry-connection': 'Reintentar conexión de una línea (lineId) - permisos whatsapp.cleanup y whatsapp.start',
+            'GET /status': 'Estado del sistema y de una línea (?lineId=)',
+            'GET /events': 'Stream SSE de estado de líneas y conversaciones (?lineId=&types=)',
+            'GET /handoffs': 'Chats derivados a asesor (?status=OPEN|RELEASED&lineId=)',
+            'POST /handoffs/:id/release': 'Liberar un chat derivado (scope handoffs:manage)',
+            'GET /advisors': 'Asesores con su disponibilidad y leads asignados',
+            'GET /unmatched-messages': 'Mensajes sin campaña y respuestas por defecto enviadas (?lineId=&limit=)',
+            'GET /conversations/:id/transcript': 'Transcripción completa de una conversación',
+            'GET /webhooks/deliveries': 'Log de entregas de webhooks (?status=&endpointId=&event=&limit=)',
+            'POST /webhooks/deliveries/:id/replay': 'Reenviar una entrega de webhook (scope webhooks:manage)',
             'GET /health': 'Health check'
         }
     });
@@ -582,8 +1130,20 @@ async function startServer() {
         await dbInmobiliaria.query('SELECT 1');
         logger.info('[SERVER] ✅ Conexión a BD de Inmobiliaria OK');
 
+        // Iniciar envío de la cola de mensajes salientes
+        await dispatcher.start();
+
+        // Reanudar o cerrar conversaciones que quedaron colgadas
+        await reconciler.start();
+
+        // Programar seguimientos al completar conversaciones
+        followupService.start();
+
+        // Enviar los eventos de conversaciones a los webhooks configurados
+        await webhookDispatcher.start();
+
         // Iniciar servidor Express
-        app.listen(PORT, () => {
+        httpServer = app.listen(PORT, () => {
             logger.info('='.repeat(60));
             logger.info(`[SERVER] 🚀 Servidor iniciado en puerto ${PORT}`);
             logger.info(`[SERVER] 📡 URL: http://localhost:${PORT}`);
@@ -600,53 +1160,68 @@ async function startServer() {
 
 
 
-process.on('SIGINT', async () => {
-    logger.info('[SERVER] Señal SIGINT recibida, cerrando servidor...');
-
-    if (initializationTimeout) {
-        clearTimeout(initializationTimeout);
+/**
+ * Apagado ordenado: deja de aceptar peticiones y disparadores, drena la cola de
+ * mensajes (lo pendiente queda como interrumpido) y recién entonces destruye los clientes
+ * @param {string} signal - Señal recibida
+ */
+async function gracefulShutdown(signal) {
+    if (shuttingDown) {
+        logger.warn(`[SERVER] Señal ${signal} recibida durante el apagado, ignorando`);
+        return;
     }
 
-    try {
-        await whatsappService.destroy();
-        logger.info('[SERVER] WhatsApp cerrado correctamente');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        await cleanupSessionFolders();
-    } catch (error) {
-        logger.error('[SERVER] Error cerrando WhatsApp:', error);
+    shuttingDown = true;
+    logger.info(`[SERVER] Señal ${signal} recibida, cerrando servidor...`);
+
+    for (const lineId of initializationTimeouts.keys()) {
+        clearInitializationTimeout(lineId);
     }
 
-    process.exit(0);
-});
+    if (httpServer) {
+        httpServer.close();
+    }
 
-process.on('SIGTERM', async () => {
-    logger.info('[SERVER] Señal SIGTERM recibida, cerrando servidor...');
+    reconciler.stop();
 
-    if (initializationTimeout) {
-        clearTimeout(initializationTimeout);
+    try {
+        lineManager.drainAll();
+        await dispatcher.drain(config.shutdown.drainTimeoutMs, config.shutdown.checkpointGraceMs);
+        followupService.stop();
+        webhookDispatcher.stop();
+        logger.info('[SERVER] Drenado de cola completado');
+    } catch (error) {
+        logger.error('[SERVER] Error drenando cola:', error);
     }
 
+    // La sesión se conserva (BD o .wwebjs_auth) para no pedir QR tras el reinicio;
+    // borrarla es una acción explícita de /cleanup-session
     try {
-        await whatsappService.destroy();
+        await lineManager.destroyAll();
         logger.info('[SERVER] WhatsApp cerrado correctamente');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        await cleanupSessionFolders();
     } catch (error) {
         logger.error('[SERVER] Error cerrando WhatsApp:', error);
     }
 
     process.exit(0);
-});
+}
+
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
 // Manejar errores no capturados
 process.on('uncaughtException', async (error) => {
     logger.error('[SERVER] ❌ Excepción no capturada:', error);
-    await handleWhatsAppError(`Excepción no capturada: ${error.message}`);
+    for (const status of lineManager.listLines()) {
+        await handleWhatsAppError(status.lineId, `Excepción no capturada: ${error.message}`);
+    }
 });
 
 process.on('unhandledRejection', async (reason, promise) => {
     logger.error('[SERVER] ❌ Promesa rechazada no manejada:', reason);
-    await handleWhatsAppError(`Promesa rechazada: ${reason}`);
+    for (const status of lineManager.listLines()) {
+        await handleWhatsAppError(status.lineId, `Promesa rechazada: ${reason}`);
+    }
 });
 
 // Iniciar servidor
@@ -0,0 +1,354 @@
+const db = require('../config/database2');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const eventBus = require('../utils/event-bus');
+const { formatPhone } = require('../utils/helpers');
+
+const STRATEGIES = ['ROUND_ROBIN', 'LEAST_LOADED', 'STICKY'];
+
+/**
+ * Asesores disponibles para una campaña, con los leads asignados en la ventana de carga.
+ * Los que llegaron a su tope (max_active_leads) quedan fuera
+ * @param {number} campaignId - ID de la campaña
+ * @returns {Promise<Array>}
+ */
+async function getEligibleAdvisors(campaignId) {
+    try {
+        const [advisors] = await db.query(
+            `SELECT
+                a.id,
+                a.name,
+                a.whatsapp_number,
+                a.max_active_leads,
+                a.last_assigned_at,
+                (
+                    SELECT COUNT(*) FROM bot_conversations bc
+                    WHERE bc.advisor_id = a.id
+                        AND bc.advisor_assigned_at >= NOW() - INTERVAL ? HOUR
+                ) as active_leads
+            FROM advisors a
+            WHERE a.is_active = TRUE
+                AND a.is_available = TRUE
+                AND a.deleted_at IS NULL
+                AND (
+                    EXISTS (SELECT 1 FROM advisor_campaigns ac WHERE ac.advisor_id = a.id AND ac.campaign_id = ?)
+                    OR NOT EXISTS (SELECT 1 FROM advisor_campaigns ac WHERE ac.advisor_id = a.id)
+                )`,
+            [config.assignment.loadWindowHours, campaignId]
+        );
+
+        return advisors
+            .map(advisor => ({ ...advisor, active_leads: Number(advisor.active_leads) || 0 }))
+            .filter(advisor => advisor.max_active_leads === null || advisor.active_leads < advisor.max_active_leads);
+
+    } catch (error) {
+        logger.error(`[ADVISOR] Error obteniendo asesores de campaña ${campaignId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Último asesor que atendió al lead (en cualquier campaña)
+ * @param {string} userPhone - Número del usuario
+ * @param {number} excludeConversationId - Conversación actual
+ * @returns {Promise<number|null>}
+ */
+async function getLastAdvisorId(userPhone, excludeConversationId) {
+    try {
+        const [rows] = await db.query(
+            `SELECT advisor_id
+            FROM bot_conversations
+            WHERE user_phone = ?
+                AND id <> ?
+                AND advisor_id IS NOT NULL
+            ORDER BY advisor_assigned_at DESC
+            LIMIT 1`,
+            [userPhone, excludeConversationId]
+        );
+
+        return rows.length > 0 ? rows[0].advisor_id : null;
+
+    } catch (error) {
+        logger.error(`[ADVISOR] Error obteniendo último asesor de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Elige el asesor según la estrategia
+ * @param {string} strategy - ROUND_ROBIN | LEAST_LOADED | STICKY
+ * @param {Array} advisors - Asesores elegibles
+ * @param {number|null} lastAdvisorId - Asesor que ya atendió al lead (para STICKY)
+ * @returns {object|null}
+ */
+function pickAdvisor(strategy, advisors, lastAdvisorId = null) {
+    if (advisors.length === 0) return null;
+
+    if (strategy === 'STICKY') {
+        const previous = advisors.find(advisor => advisor.id === lastAdvisorId);
+        if (previous) return previous;
+    }
+
+    // Round-robin: el que lleva más tiempo sin recibir un lead (los que nunca recibieron, primero)
+    const byLastAssigned = (a, b) => {
+        const timeA = a.last_assigned_at ? new Date(a.last_assigned_at).getTime() : 0;
+        const timeB = b.last_assigned_at ? new Date(b.last_assigned_at).getTime() : 0;
+        return timeA - timeB || a.id - b.id;
+    };
+
+    const sorted = [...advisors].sort(strategy === 'LEAST_LOADED'
+        ? (a, b) => a.active_leads - b.active_leads || byLastAssigned(a, b)
+        : byLastAssigned);
+
+    return sorted[0];
+}
+
+/**
+ * Asigna un asesor a una conversación recién creada
+ * @param {object} data
+ * @param {number} data.conversationId - ID de la conversación
+ * @param {object} data.campaign - Campaña (con assignment_strategy)
+ * @param {string} data.userPhone - Número del usuario
+ * @returns {Promise<object|null>} - Asesor asignado (null si no hay disponibles)
+ */
+async function assignConversation({ conversationId, campaign, userPhone }) {
+    try {
+        const strategy = STRATEGIES.includes(campaign.assignment_strategy)
+            ? campaign.assignment_strategy
+            : config.assignment.defaultStrategy;
+
+        const advisors = await getEligibleAdvisors(campaign.id);
+        const lastAdvisorId = strategy === 'STICKY' ? await getLastAdvisorId(userPhone, conversationId) : null;
+        const advisor = pickAdvisor(strategy, advisors, lastAdvisorId);
+
+        if (!advisor) {
+            logger.warn(`[ADVISOR] Sin asesores disponibles para la campaña ${campaign.id}, conversación ${conversationId} sin asignar`);
+            return null;
+        }
+
+        await db.query(
+            `UPDATE bot_conversations
+            SET advisor_id = ?,
+                advisor_assigned_at = NOW(),
+                updated_at = NOW(),
+                session_metadata = JSON_SET(
+                    COALESCE(session_metadata, '{}'),
+                    '$.assignment_strategy', ?
+                )
+            WHERE id = ?`,
+            [advisor.id, strategy, conversationId]
+        );
+
+        await db.query(
+            'UPDATE advisors SET last_assigned_at = NOW() WHERE id = ?',
+            [advisor.id]
+        );
+
+        logger.info(`[ADVISOR] 👤 Conversación ${conversationId} asignada a ${advisor.name} (${strategy})`);
+
+        eventBus.publish('conversation.assigned', {
+            conversationId,
+            advisorId: advisor.id,
+            advisorName: advisor.name,
+            strategy
+        });
+
+        return advisor;
+
+    } catch (error) {
+        logger.error(`[ADVISOR] Error asignando asesor a conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Asesor asignado a una conversación
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<object|null>}
+ */
+async function getConversationAdvisor(conversationId) {
+    try {
+        const [advisors] = await db.query(
+            `SELECT a.id, a.name, a.whatsapp_number, a.email, a.company
+            FROM bot_conversations bc
+            INNER JOIN advisors a ON bc.advisor_id = a.id
+            WHERE bc.id = ?
+                AND a.deleted_at IS NULL`,
+            [conversationId]
+        );
+
+        return advisors[0] || null;
+
+    } catch (error) {
+        logger.error(`[ADVISOR] Error obteniendo asesor de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene un asesor por ID
+ * @param {number} advisorId - ID del asesor
+ * @returns {Promise<object|null>}
+ */
+async function getAdvisorById(advisorId) {
+    try {
+        const [advisors] = await db.query(
+            `SELECT id, name, whatsapp_number, email, company
+            FROM advisors
+            WHERE id = ?
+                AND is_active = TRUE
+                AND deleted_at IS NULL`,
+            [advisorId]
+        );
+
+        return advisors[0] || null;
+
+    } catch (error) {
+        logger.error(`[ADVISOR] Error obteniendo asesor ${advisorId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Chat de WhatsApp de un asesor
+ * @param {object} advisor - Asesor con whatsapp_number
+ * @returns {string}
+ */
+function getAdvisorChatId(advisor) {
+    const number = advisor.whatsapp_number;
+    return number.includes('@') ? number : `${formatPhone(number)}@c.us`;
+}
+
+/**
+ * Resumen del lead que recibe el asesor al serle asignado
+ * @param {object} lead - {userName, userPhone, campaignName, keyword, messageText}
+ * @returns {string}
+ */
+function buildAssignmentNotice({ userName, userPhone, campaignName, keyword, messageText }) {
+    const lines = [
+        '🆕 *Nuevo lead asignado*',
+        `👤 ${userName} (+${formatPhone(userPhone)})`,
+        `📣 Campaña: ${campaignName}`
+    ];
+
+    if (keyword) {
+        lines.push(`🔑 Palabra clave: ${keyword}`);
+    }
+
+    lines.push(`💬 "${messageText}"`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Escapa un valor de texto de vCard
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeVCardValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Campo N de la vCard ("apellidos;nombre;;;"): la primera palabra es el nombre y el resto
+ * los apellidos, para que el contacto se ordene bien al guardarlo. Un nombre de una sola
+ * palabra va completo como apellido
+ * @param {string} fullName - Nombre completo
+ * @returns {string}
+ */
+function buildVCardName(fullName) {
+    const [givenName, ...familyNames] = String(fullName).trim().split(/\s+/);
+
+    return familyNames.length > 0
+        ? `${escapeVCardValue(familyNames.join(' '))};${escapeVCardValue(givenName)};;;`
+        : `${escapeVCardValue(givenName)};;;;`;
+}
+
+/**
+ * Tarjeta de contacto (vCard 3.0) de un asesor. El waid enlaza el teléfono con su WhatsApp
+ * @param {object} advisor - Asesor con name, whatsapp_number, email y company
+ * @returns {string}
+ */
+function buildVCard(advisor) {
+    const phone = formatPhone(advisor.whatsapp_number);
+    const company = advisor.company || config.contactCard.defaultCompany;
+
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escapeVCardValue(advisor.name)}`,
+        `N:${buildVCardName(advisor.name)}`
+    ];
+
+    if (company) {
+        lines.push(`ORG:${escapeVCardValue(company)}`);
+    }
+
+    lines.push(`TEL;type=CELL;type=VOICE;waid=${phone}:+${phone}`);
+
+    if (advisor.email) {
+        lines.push(`EMAIL;type=INTERNET:${escapeVCardValue(advisor.email)}`);
+    }
+
+    lines.push('END:VCARD');
+
+    return lines.join('\n');
+}
+
+/**
+ * Lista los asesores con su carga actual
+ * @returns {Promise<Array>}
+ */
+async function listAdvisors() {
+    try {
+        const [advisors] = await db.query(
+            `SELECT
+                a.id,
+                a.name,
+                a.whatsapp_number,
+                a.email,
+                a.company,
+                a.is_available,
+                a.max_active_leads,
+                a.last_assigned_at,
+                (
+                    SELECT COUNT(*) FROM bot_conversations bc
+                    WHERE bc.advisor_id = a.id
+                        AND bc.advisor_assigned_at >= NOW() - INTERVAL ? HOUR
+                ) as active_leads,
+                (
+                    SELECT JSON_ARRAYAGG(ac.campaign_id) FROM advisor_campaigns ac
+                    WHERE ac.advisor_id = a.id
+                ) as campaign_ids
+            FROM advisors a
+            WHERE a.is_active = TRUE
+                AND a.deleted_at IS NULL
+            ORDER BY a.name ASC`,
+            [config.assignment.loadWindowHours]
+        );
+
+        return advisors.map(advisor => ({
+            ...advisor,
+            active_leads: Number(advisor.active_leads) || 0,
+            campaign_ids: typeof advisor.campaign_ids === 'string' ? JSON.parse(advisor.campaign_ids) : (advisor.campaign_ids || [])
+        }));
+
+    } catch (error) {
+        logger.error('[ADVISOR] Error listando asesores:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    pickAdvisor,
+    assignConversation,
+    getConversationAdvisor,
+    getAdvisorById,
+    getAdvisorChatId,
+    buildAssignmentNotice,
+    buildVCard,
+    listAdvisors
+};
@@ -0,0 +1,154 @@
+const db = require('../config/database2');
+const logger = require('../utils/logger');
+const { replaceVariables } = require('../utils/helpers');
+const { isOpen, getNextOpening, formatOpening } = require('../utils/business-hours');
+
+// Los calendarios cambian poco: caché corta para no consultar en cada mensaje
+const CACHE_TTL_MS = 60 * 1000;
+const calendarCache = new Map();
+const lineCalendarCache = new Map();
+
+/**
+ * Obtiene un calendario con sus franjas y feriados
+ * @param {number} calendarId - ID del calendario
+ * @returns {Promise<{id: number, name: string, timezone: string, out_of_hours_message: string, hours: Array, holidays: Set<string>}|null>}
+ */
+async function getCalendar(calendarId) {
+    const cached = calendarCache.get(calendarId);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    try {
+        const [calendars] = await db.query(
+            `SELECT
+                id,
+                name,
+                timezone,
+                out_of_hours_message
+            FROM business_calendars
+            WHERE id = ?
+                AND is_active = TRUE`,
+            [calendarId]
+        );
+
+        let value = null;
+
+        if (calendars.length > 0) {
+            const [hours] = await db.query(
+                `SELECT day_of_week, open_time, close_time
+                FROM business_calendar_hours
+                WHERE calendar_id = ?`,
+                [calendarId]
+            );
+
+            const [holidays] = await db.query(
+                `SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') as holiday_date
+                FROM business_calendar_holidays
+                WHERE calendar_id = ?`,
+                [calendarId]
+            );
+
+            value = {
+                ...calendars[0],
+                hours,
+                holidays: new Set(holidays.map(holiday => holiday.holiday_date))
+            };
+        }
+
+        calendarCache.set(calendarId, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+
+        return value;
+
+    } catch (error) {
+        logger.error(`[BUSINESS-HOURS] Error obteniendo calendario ${calendarId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * ID del calendario asignado a una línea
+ * @param {string} lineId - ID de la línea
+ * @returns {Promise<number|null>}
+ */
+async function getLineCalendarId(lineId) {
+    const cached = lineCalendarCache.get(lineId);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    try {
+        const [rows] = await db.query(
+            'SELECT calendar_id FROM bot_line_calendars WHERE line_id = ?',
+            [lineId]
+        );
+
+        const value = rows.length > 0 ? rows[0].calendar_id : null;
+
+        lineCalendarCache.set(lineId, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+
+        return value;
+
+    } catch (error) {
+        logger.error(`[BUSINESS-HOURS] Error obteniendo calendario de línea ${lineId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Calendario que aplica a una campaña en una línea (el de la campaña tiene prioridad)
+ * @param {object} campaign - Campaña (con business_calendar_id)
+ * @param {string} lineId - ID de la línea
+ * @returns {Promise<object|null>} - null = sin horario (siempre abierto)
+ */
+async function resolveCalendar(campaign, lineId) {
+    const calendarId = campaign.business_calendar_id || await getLineCalendarId(lineId);
+
+    return calendarId ? getCalendar(calendarId) : null;
+}
+
+/**
+ * Verifica si una campaña está fuera de horario en una línea
+ * @param {object} campaign - Campaña (con business_calendar_id)
+ * @param {string} lineId - ID de la línea
+ * @param {Date} now - Instante a evaluar
+ * @returns {Promise<{calendar: object, nextOpening: Date|null}|null>} - null si está en horario o no tiene calendario
+ */
+async function getOutOfHours(campaign, lineId, now = new Date()) {
+    const calendar = await resolveCalendar(campaign, lineId);
+
+    if (!calendar || isOpen(calendar, now)) {
+        return null;
+    }
+
+    return {
+        calendar,
+        nextOpening: getNextOpening(calendar, now)
+    };
+}
+
+/**
+ * Arma el aviso de fuera de horario del calendario
+ * @param {object} outOfHours - Resultado de getOutOfHours
+ * @param {object} variables - {nombre, telefono}
+ * @returns {string|null} - null si el calendario no tiene aviso
+ */
+function buildOutOfHoursNotice(outOfHours, variables) {
+    const { calendar, nextOpening } = outOfHours;
+
+    if (!calendar.out_of_hours_message) return null;
+
+    return replaceVariables(calendar.out_of_hours_message, {
+        ...variables,
+        apertura: nextOpening ? formatOpening(nextOpening, calendar.timezone) : 'el próximo día hábil'
+    });
+}
+
+module.exports = {
+    getCalendar,
+    resolveCalendar,
+    getOutOfHours,
+    buildOutOfHoursNotice
+};
@@ -5,27 +5,35 @@ const { matchKeywords } = require('../utils/keyword-matcher');
 /**
  * Detecta qué campaña se activa según el mensaje del usuario
  * @param {string} messageText - Texto del mensaje recibido
+ * @param {Array<number>|null} campaignIds - Limitar a estas campañas (opcional, para líneas con campañas propias)
  * @returns {Promise<object|null>} - Datos de la campaña detectada o null
  */
-async function detectCampaign(messageText) {
+async function detectCampaign(messageText, campaignIds = null) {
     try {
         if (!messageText || messageText.trim().length === 0) {
             return null;
         }
         
         // Obtener todas las campañas activas ordenadas por prioridad
-        const [campaigns] = await db.query(
-            `SELECT 
+        let query = `SELECT 
                 id,
                 name,
                 trigger_keywords,
                 priority
             FROM campaigns
             WHERE is_active = TRUE
-                AND deleted_at IS NULL
-            ORDER BY priority DESC`,
-            []
-        );
+                AND deleted_at IS NULL`;
+        
+        const params = [];
+        
+        if (campaignIds && campaignIds.length > 0) {
+            query += ` AND id IN (?)`;
+            params.push(campaignIds);
+        }
+        
+        query += ` ORDER BY priority DESC`;
+        
+        const [campaigns] = await db.query(query, params);
         
         if (campaigns.length === 0) {
             logger.info('[CAMPAIGN] No hay campañas activas');
@@ -88,6 +96,10 @@ async function getCampaignById(campaignId) {
                 trigger_keywords,
                 is_active,
                 priority,
+                business_calendar_id,
+                out_of_hours_mode,
+                out_of_hours_defer_from_order,
+                assignment_strategy,
                 created_at,
                 updated_at
             FROM campaigns
@@ -134,12 +146,37 @@ async function getCampaignStats(campaignId) {
             [campaignId]
         );
         
-        return stats[0] || {
-            total_conversations: 0,
-            completed: 0,
-            failed: 0,
-            in_progress: 0,
-            unique_keywords: 0
+        // Confirmaciones de entrega/lectura de los mensajes enviados en la campaña
+        const [receipts] = await db.query(
+            `SELECT 
+                SUM(CASE WHEN ml.delivery_status <> 'FAILED' THEN 1 ELSE 0 END) as messages_sent,
+                SUM(CASE WHEN ml.delivered_at IS NOT NULL THEN 1 ELSE 0 END) as messages_delivered,
+                SUM(CASE WHEN ml.read_at IS NOT NULL THEN 1 ELSE 0 END) as messages_read,
+                SUM(CASE WHEN ml.played_at IS NOT NULL THEN 1 ELSE 0 END) as messages_played
+            FROM bot_message_log ml
+            INNER JOIN bot_conversations bc ON ml.conversation_id = bc.id
+            WHERE bc.campaign_id = ?`,
+            [campaignId]
+        );
+        
+        const messagesSent = Number(receipts[0].messages_sent) || 0;
+        const messagesDelivered = Number(receipts[0].messages_delivered) || 0;
+        const messagesRead = Number(receipts[0].messages_read) || 0;
+        
+        return {
+            ...(stats[0] || {
+                total_conversations: 0,
+                completed: 0,
+                failed: 0,
+                in_progress: 0,
+                unique_keywords: 0
+            }),
+            messages_sent: messagesSent,
+            messages_delivered: messagesDelivered,
+            messages_read: messagesRead,
+            messages_played: Number(receipts[0].messages_played) || 0,
+            delivery_rate: messagesSent > 0 ? Math.round((messagesDelivered / messagesSent) * 10000) / 100 : 0,
+            read_rate: messagesSent > 0 ? Math.round((messagesRead / messagesSent) * 10000) / 100 : 0
         };
         
     } catch (error) {
@@ -150,24 +187,33 @@ async function getCampaignStats(campaignId) {
 
 /**
  * Lista todas las campañas activas
+ * @param {Array<number>|null} campaignIds - Limitar a estas campañas (opcional)
  * @returns {Promise<Array>}
  */
-async function getActiveCampaigns() {
+async function getActiveCampaigns(campaignIds = null) {
     try {
-        const [campaigns] = await db.query(
-            `SELECT 
+        let query = `SELECT 
                 id,
                 name,
                 description,
+                trigger_keywords,
                 priority,
                 is_active,
                 created_at
             FROM campaigns
             WHERE is_active = TRUE
-                AND deleted_at IS NULL
-            ORDER BY priority DESC, name ASC`,
-            []
-        );
+                AND deleted_at IS NULL`;
+        
+        const params = [];
+        
+        if (campaignIds && campaignIds.length > 0) {
+            query += ` AND id IN (?)`;
+            params.push(campaignIds);
+        }
+        
+        query += ` ORDER BY priority DESC, name ASC`;
+        
+        const [campaigns] = await db.query(query, params);
         
         return campaigns;
         
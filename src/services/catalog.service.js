@@ -0,0 +1,403 @@
+const db = require('../config/database2');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { normalizeText, matchPhrase } = require('../utils/keyword-matcher');
+const { parseNumbers, replaceNumberWords } = require('../utils/number-parser');
+const messageService = require('./message.service');
+
+// Palabras con las que el lead nombra cada tipo de inmueble
+const PROPERTY_TYPES = {
+    DEPARTAMENTO: ['departamento', 'departamentos', 'depa', 'depas', 'dpto', 'flat'],
+    CASA: ['casa', 'casas'],
+    LOTE: ['lote', 'lotes', 'terreno', 'terrenos'],
+    OFICINA: ['oficina', 'oficinas'],
+    LOCAL: ['local', 'locales']
+};
+
+const PROPERTY_TYPE_LABELS = {
+    DEPARTAMENTO: 'Departamento',
+    CASA: 'Casa',
+    LOTE: 'Lote',
+    OFICINA: 'Oficina',
+    LOCAL: 'Local'
+};
+
+const CURRENCY_SYMBOLS = {
+    PEN: 'S/',
+    USD: 'US$'
+};
+
+const BEDROOMS_REGEX = /\b(\d+)\s*(?:dormitorios?|dorms?|habitaciones?|cuartos?|recamaras?)\b/;
+const AREA_REGEX = /\b(\d+(?:[.,]\d+)?)\s*(?:m2|mt2|mts2?|metros(?: cuadrados)?)(?=\s|$)/;
+
+/**
+ * Parsea una columna JSON que puede venir como string
+ */
+function parseJson(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Distritos con inmuebles disponibles
+ * @returns {Promise<Array<string>>}
+ */
+async function getDistricts() {
+    try {
+        const [rows] = await db.query(
+            `SELECT DISTINCT district
+            FROM properties
+            WHERE status = 'AVAILABLE'
+                AND is_active = TRUE
+                AND deleted_at IS NULL`
+        );
+
+        return rows.map(row => row.district);
+
+    } catch (error) {
+        logger.error('[CATALOG] Error obteniendo distritos:', error);
+        throw error;
+    }
+}
+
+/**
+ * Rango de precio pedido: "hasta 300 mil", "desde 200 mil", "entre 200 y 300 mil".
+ * Un monto suelto se toma como presupuesto máximo
+ * @param {string} text - Texto sin dormitorios ni área
+ * @returns {{minPrice: number|null, maxPrice: number|null}}
+ */
+function parsePriceRange(text) {
+    const values = parseNumbers(text).filter(value => value >= config.catalog.minPriceValue);
+
+    if (values.length === 0) {
+        return { minPrice: null, maxPrice: null };
+    }
+
+    if (values.length > 1) {
+        return { minPrice: Math.min(...values), maxPrice: Math.max(...values) };
+    }
+
+    const isMinimum = /\b(desde|minimo|mas de|a partir de)\b/.test(normalizeText(text));
+
+    return isMinimum
+        ? { minPrice: values[0], maxPrice: null }
+        : { minPrice: null, maxPrice: values[0] };
+}
+
+/**
+ * Interpreta una búsqueda libre ("departamento 2 dormitorios Miraflores hasta 300 mil")
+ * @param {string} messageText - Texto del mensaje recibido
+ * @returns {Promise<object|null>} - Filtros {propertyType, bedrooms, district, minArea, minPrice, maxPrice}
+ *                                   o null si el mensaje no es una búsqueda de inmuebles
+ */
+async function parseQuery(messageText) {
+    const normalized = replaceNumberWords(messageText);
+
+    if (!normalized) return null;
+
+    const padded = ` ${normalized} `;
+
+    const propertyType = Object.keys(PROPERTY_TYPES)
+        .find(type => PROPERTY_TYPES[type].some(word => padded.includes(` ${word} `))) || null;
+
+    const bedroomsMatch = normalized.match(BEDROOMS_REGEX);
+    const bedrooms = bedroomsMatch ? Number(bedroomsMatch[1]) : null;
+
+    const districts = await getDistricts();
+    const district = districts.find(name => padded.includes(` ${normalizeText(name)} `)) || null;
+
+    // Los montos se leen del texto original para no perder los separadores de miles
+    const priceText = messageText.toLowerCase()
+        .replace(new RegExp(BEDROOMS_REGEX.source, 'g'), ' ')
+        .replace(new RegExp(AREA_REGEX.source, 'g'), ' ');
+
+    const { minPrice, maxPrice } = parsePriceRange(priceText);
+
+    if (!propertyType && bedrooms === null && !(district && (minPrice || maxPrice))) {
+        return null;
+    }
+
+    const areaMatch = messageText.toLowerCase().match(AREA_REGEX);
+
+    return {
+        propertyType,
+        bedrooms,
+        district,
+        minArea: areaMatch ? Number(areaMatch[1].replace(',', '.')) : null,
+        minPrice,
+        maxPrice
+    };
+}
+
+/**
+ * Condiciones SQL de una búsqueda
+ * @param {object} filters - Filtros de parseQuery
+ * @returns {{where: string, params: Array}}
+ */
+function buildFilterClause(filters) {
+    let where = `p.status = 'AVAILABLE'
+                AND p.is_active = TRUE
+                AND p.deleted_at IS NULL`;
+    const params = [];
+
+    if (filters.propertyType) {
+        where += ` AND p.property_type = ?`;
+        params.push(filters.propertyType);
+    }
+
+    if (filters.bedrooms !== null && filters.bedrooms !== undefined) {
+        where += ` AND p.bedrooms = ?`;
+        params.push(filters.bedrooms);
+    }
+
+    if (filters.district) {
+        where += ` AND p.district = ?`;
+        params.push(filters.district);
+    }
+
+    if (filters.minArea) {
+        where += ` AND p.area_m2 >= ?`;
+        params.push(filters.minArea);
+    }
+
+    if (filters.minPrice) {
+        where += ` AND p.price >= ?`;
+        params.push(filters.minPrice);
+    }
+
+    if (filters.maxPrice) {
+        where += ` AND p.price <= ?`;
+        params.push(filters.maxPrice);
+    }
+
+    return { where, params };
+}
+
+/**
+ * Busca inmuebles disponibles, del más barato al más caro
+ * @param {object} filters - Filtros de parseQuery
+ * @param {number} offset - Resultados ya mostrados
+ * @param {number} limit - Resultados de la página
+ * @returns {Promise<{properties: Array, total: number}>}
+ */
+async function searchProperties(filters, offset, limit) {
+    try {
+        const { where, params } = buildFilterClause(filters);
+
+        const [[{ total }]] = await db.query(
+            `SELECT COUNT(*) as total
+            FROM properties p
+            INNER JOIN projects pr ON p.project_id = pr.id
+            WHERE ${where}`,
+            params
+        );
+
+        const [properties] = await db.query(
+            `SELECT
+                p.id,
+                p.code,
+                p.property_type,
+                p.district,
+                p.price,
+                p.currency,
+                p.area_m2,
+                p.bedrooms,
+                p.bathrooms,
+                p.description,
+                pr.name as project_name,
+                ph.file_path as photo_path,
+                ph.mime_type as photo_mime_type
+            FROM properties p
+            INNER JOIN projects pr ON p.project_id = pr.id
+            LEFT JOIN property_photos ph ON ph.id = (
+                SELECT ph2.id FROM property_photos ph2
+                WHERE ph2.property_id = p.id
+                    AND ph2.deleted_at IS NULL
+                ORDER BY ph2.sort_order ASC, ph2.id ASC
+                LIMIT 1
+            )
+            WHERE ${where}
+            ORDER BY p.price ASC, p.id ASC
+            LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        return { properties, total: Number(total) };
+
+    } catch (error) {
+        logger.error('[CATALOG] Error buscando inmuebles:', error);
+        throw error;
+    }
+}
+
+/**
+ * Precio con su moneda ("S/ 300,000")
+ * @param {number|string} price - Precio
+ * @param {string} currency - PEN | USD
+ * @returns {string}
+ */
+function formatPrice(price, currency) {
+    const amount = Number(price).toLocaleString('en-US', { maximumFractionDigits: 0 });
+    return `${CURRENCY_SYMBOLS[currency] || currency} ${amount}`;
+}
+
+/**
+ * Texto de la tarjeta de un inmueble
+ * @param {object} property - Inmueble de searchProperties
+ * @returns {string}
+ */
+function buildCardCaption(property) {
+    const lines = [
+        `*${PROPERTY_TYPE_LABELS[property.property_type] || property.property_type} en ${property.district}*`,
+        `🏢 ${property.project_name}${property.code ? ` · Cód. ${property.code}` : ''}`
+    ];
+
+    const features = [];
+
+    if (property.bedrooms) features.push(`🛏️ ${property.bedrooms} dorm.`);
+    if (property.bathrooms) features.push(`🚿 ${property.bathrooms} baños`);
+    if (property.area_m2) features.push(`📐 ${Number(property.area_m2)} m²`);
+
+    if (features.length > 0) {
+        lines.push(features.join(' · '));
+    }
+
+    lines.push(`💰 ${formatPrice(property.price, property.currency)}`);
+
+    if (property.description) {
+        lines.push('', property.description);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Envía un inmueble como tarjeta: su foto principal con el detalle como descripción.
+ * Sin foto (o si no se puede descargar) se envía solo el texto
+ * @param {object} client - Cliente de WhatsApp
+ * @param {string} userPhone - Número del usuario
+ * @param {object} property - Inmueble de searchProperties
+ * @returns {Promise<void>}
+ */
+async function sendCard(client, userPhone, property) {
+    const caption = buildCardCaption(property);
+
+    if (property.photo_path) {
+        try {
+            await messageService.sendImageMessage(client, userPhone, {
+                content: caption,
+                media: [{ file_path: property.photo_path, mime_type: property.photo_mime_type }]
+            });
+            return;
+
+        } catch (error) {
+            if (messageService.isConnectionError(error)) throw error;
+            logger.warn(`[CATALOG] No se pudo enviar la foto del inmueble ${property.id}, se envía solo el texto: ${error.message}`);
+        }
+    }
+
+    await client.sendMessage(userPhone, caption);
+}
+
+/**
+ * Registra una búsqueda del lead para poder pedir más resultados
+ * @param {object} data
+ * @param {string} data.lineId - Línea que atendió la búsqueda
+ * @param {string} data.userPhone - Número del usuario
+ * @param {string} data.queryText - Texto de la búsqueda
+ * @param {object} data.filters - Filtros de parseQuery
+ * @param {number} data.total - Resultados encontrados
+ * @param {number} data.shown - Resultados ya enviados
+ * @returns {Promise<number>} - ID de la búsqueda
+ */
+async function createSearch({ lineId, userPhone, queryText, filters, total, shown }) {
+    try {
+        const [result] = await db.query(
+            `INSERT INTO bot_catalog_searches (line_id, user_phone, query_text, filters, total_results, shown)
+            VALUES (?, ?, ?, ?, ?, ?)`,
+            [lineId, userPhone, queryText, JSON.stringify(filters), total, shown]
+        );
+
+        return result.insertId;
+
+    } catch (error) {
+        logger.error(`[CATALOG] Error registrando búsqueda de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Última búsqueda del lead dentro del tiempo en que "ver más" la sigue
+ * @param {string} userPhone - Número del usuario
+ * @returns {Promise<object|null>}
+ */
+async function getRecentSearch(userPhone) {
+    try {
+        const [searches] = await db.query(
+            `SELECT *
+            FROM bot_catalog_searches
+            WHERE user_phone = ?
+                AND updated_at >= NOW() - INTERVAL ? HOUR
+            ORDER BY id DESC
+            LIMIT 1`,
+            [userPhone, config.catalog.searchTtlHours]
+        );
+
+        if (searches.length === 0) return null;
+
+        const search = searches[0];
+        search.filters = parseJson(search.filters, {});
+
+        return search;
+
+    } catch (error) {
+        logger.error(`[CATALOG] Error obteniendo búsqueda de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Actualiza el avance de una búsqueda tras enviar otra página
+ * @param {number} searchId - ID de la búsqueda
+ * @param {object} progress - {shown, total}
+ * @returns {Promise<void>}
+ */
+async function updateSearch(searchId, { shown, total }) {
+    try {
+        await db.query(
+            `UPDATE bot_catalog_searches
+            SET shown = ?,
+                total_results = ?
+            WHERE id = ?`,
+            [shown, total, searchId]
+        );
+
+    } catch (error) {
+        logger.error(`[CATALOG] Error actualizando búsqueda ${searchId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Indica si el lead pide la siguiente página de resultados ("ver más")
+ * @param {string} messageText - Texto del mensaje recibido
+ * @returns {boolean}
+ */
+function isMoreCommand(messageText) {
+    const normalizedMessage = normalizeText(messageText);
+
+    if (!normalizedMessage) return false;
+
+    return Boolean(matchPhrase(normalizedMessage, config.catalog.morePhrases));
+}
+
+module.exports = {
+    parseQuery,
+    searchProperties,
+    buildCardCaption,
+    sendCard,
+    createSearch,
+    getRecentSearch,
+    updateSearch,
+    isMoreCommand
+};
@@ -1,5 +1,6 @@
 const db = require('../config/database2');
 const logger = require('../utils/logger');
+const eventBus = require('../utils/event-bus');
 
 /**
  * Crea una nueva conversación en la base de datos
@@ -21,6 +22,15 @@ async function createConversation(data) {
         
         logger.info(`[CONVERSATION] Nueva conversación creada: ID ${conversationId} - Usuario: ${userPhone} - Campaña: ${campaignId} - Línea: ${corse}`);
         
+        eventBus.publish('conversation.created', {
+            conversationId,
+            userPhone,
+            userName,
+            campaignId,
+            matchedKeyword,
+            corse
+        });
+        
         return conversationId;
         
     } catch (error) {
@@ -56,12 +66,12 @@ async function updateConversationCorse(conversationId, corse) {
 /**
  * Actualiza el estado de una conversación
  * @param {number} conversationId - ID de la conversación
- * @param {string} status - Nuevo estado (INITIATED, IN_PROGRESS, COMPLETED, FAILED, CANCELLED)
+ * @param {string} status - Nuevo estado (INITIATED, IN_PROGRESS, COMPLETED, FAILED, CANCELLED, INTERRUPTED)
  * @returns {Promise<void>}
  */
 async function updateConversationStatus(conversationId, status) {
     try {
-        const validStatuses = ['INITIATED', 'IN_PROGRESS', 'COMPLETED', 'FAILED', 'CANCELLED'];
+        const validStatuses = ['INITIATED', 'IN_PROGRESS', 'COMPLETED', 'FAILED', 'CANCELLED', 'INTERRUPTED'];
         
         if (!validStatuses.includes(status)) {
             throw new Error(`Estado inválido: ${status}`);
@@ -85,7 +95,7 @@ async function updateConversationStatus(conversationId, status) {
 }
 
 /**
- * Incrementa el contador de mensajes enviados
+ * Incrementa el contador de mensajes enviados (una conversación ya cerrada, ej: cancelada por una baja, no se reabre)
  * @param {number} conversationId - ID de la conversación
  * @returns {Promise<void>}
  */
@@ -95,7 +105,7 @@ async function incrementMessagesSent(conversationId) {
             `UPDATE bot_conversations 
             SET messages_sent = messages_sent + 1,
                 last_message_sent_at = NOW(),
-                status = 'IN_PROGRESS',
+                status = CASE WHEN status IN ('INITIATED', 'IN_PROGRESS') THEN 'IN_PROGRESS' ELSE status END,
                 updated_at = NOW()
             WHERE id = ?`,
             [conversationId]
@@ -123,6 +133,8 @@ async function getActiveConversation(userPhone, corse = null) {
                 corse,
                 status,
                 messages_sent,
+                awaiting_message_id,
+                awaiting_attempts,
                 conversation_started_at
             FROM bot_conversations
             WHERE user_phone = ?
@@ -151,6 +163,72 @@ async function getActiveConversation(userPhone, corse = null) {
     }
 }
 
+/**
+ * Obtiene la última conversación del usuario a la que puede estar respondiendo:
+ * una en curso o una completada dentro de la ventana indicada
+ * @param {string} userPhone - Número de teléfono
+ * @param {string} corse - Número de línea
+ * @param {number} windowHours - Horas desde el fin de la conversación completada
+ * @returns {Promise<object|null>}
+ */
+async function getRepliableConversation(userPhone, corse, windowHours) {
+    try {
+        const [conversations] = await db.query(
+            `SELECT 
+                bc.id,
+                bc.campaign_id,
+                c.name as campaign_name,
+                bc.corse,
+                bc.status,
+                bc.conversation_started_at,
+                bc.conversation_ended_at
+            FROM bot_conversations bc
+            INNER JOIN campaigns c ON bc.campaign_id = c.id
+            WHERE bc.user_phone = ?
+                AND bc.corse = ?
+                AND (
+                    bc.status IN ('INITIATED', 'IN_PROGRESS')
+                    OR (bc.status = 'COMPLETED' AND bc.conversation_ended_at >= NOW() - INTERVAL ? HOUR)
+                )
+            ORDER BY bc.conversation_started_at DESC
+            LIMIT 1`,
+            [userPhone, corse, windowHours]
+        );
+        
+        return conversations.length > 0 ? conversations[0] : null;
+        
+    } catch (error) {
+        logger.error(`[CONVERSATION] Error obteniendo conversación respondible de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene el ID de la última conversación del usuario en una línea (cualquier estado)
+ * @param {string} userPhone - Número de teléfono
+ * @param {string} corse - Número de línea
+ * @returns {Promise<number|null>}
+ */
+async function getLatestConversationId(userPhone, corse) {
+    try {
+        const [conversations] = await db.query(
+            `SELECT id
+            FROM bot_conversations
+            WHERE user_phone = ?
+                AND corse = ?
+            ORDER BY conversation_started_at DESC
+            LIMIT 1`,
+            [userPhone, corse]
+        );
+        
+        return conversations.length > 0 ? conversations[0].id : null;
+        
+    } catch (error) {
+        logger.error(`[CONVERSATION] Error obteniendo última conversación de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
 /**
  * Obtiene los detalles completos de una conversación
  * @param {number} conversationId - ID de la conversación
@@ -181,23 +259,34 @@ async function getConversationById(conversationId) {
 }
 
 /**
- * Finaliza una conversación marcándola como completada
+ * Finaliza una conversación marcándola como completada (solo si sigue activa)
  * @param {number} conversationId - ID de la conversación
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} - true si la conversación quedó completada
  */
 async function completeConversation(conversationId) {
     try {
-        await db.query(
+        const [result] = await db.query(
             `UPDATE bot_conversations 
             SET status = 'COMPLETED',
                 conversation_ended_at = NOW(),
                 updated_at = NOW()
-            WHERE id = ?`,
+            WHERE id = ?
+                AND status IN ('INITIATED', 'IN_PROGRESS')`,
             [conversationId]
         );
         
+        // Ya cerrada (ej: cancelada por una baja mientras se enviaba su último mensaje)
+        if (result.affectedRows === 0) {
+            logger.debug(`[CONVERSATION] Conversación ${conversationId} ya no estaba activa, no se completa`);
+            return false;
+        }
+        
         logger.info(`[CONVERSATION] Conversación completada: ID ${conversationId}`);
         
+        eventBus.publish('conversation.completed', { conversationId });
+        
+        return true;
+        
     } catch (error) {
         logger.error(`[CONVERSATION] Error completando conversación ${conversationId}:`, error);
         throw error;
@@ -205,14 +294,14 @@ async function completeConversation(conversationId) {
 }
 
 /**
- * Marca una conversación como fallida
+ * Marca una conversación como fallida (solo si sigue activa)
  * @param {number} conversationId - ID de la conversación
  * @param {string} reason - Razón del fallo (opcional)
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} - true si la conversación quedó fallida
  */
 async function failConversation(conversationId, reason = null) {
     try {
-        await db.query(
+        const [result] = await db.query(
             `UPDATE bot_conversations 
             SET status = 'FAILED',
                 conversation_ended_at = NOW(),
@@ -222,18 +311,199 @@ async function failConversation(conversationId, reason = null) {
                     '$.failure_reason',
                     ?
                 )
-            WHERE id = ?`,
+            WHERE id = ?
+                AND status IN ('INITIATED', 'IN_PROGRESS')`,
             [reason, conversationId]
         );
         
+        if (result.affectedRows === 0) {
+            logger.debug(`[CONVERSATION] Conversación ${conversationId} ya no estaba activa, no se marca como fallida`);
+            return false;
+        }
+        
         logger.error(`[CONVERSATION] Conversación fallida: ID ${conversationId} - Razón: ${reason}`);
         
+        eventBus.publish('conversation.failed', { conversationId, reason });
+        
+        return true;
+        
     } catch (error) {
         logger.error(`[CONVERSATION] Error marcando conversación como fallida ${conversationId}:`, error);
         throw error;
     }
 }
 
+/**
+ * Registra un disparador duplicado recibido mientras la conversación estaba activa
+ * @param {number} conversationId - ID de la conversación activa
+ * @param {string} messageText - Texto del mensaje duplicado
+ * @returns {Promise<void>}
+ */
+async function recordDuplicateTrigger(conversationId, messageText) {
+    try {
+        await db.query(
+            `UPDATE bot_conversations 
+            SET updated_at = NOW(),
+                session_metadata = JSON_ARRAY_APPEND(
+                    JSON_SET(
+                        COALESCE(session_metadata, '{}'),
+                        '$.duplicate_triggers',
+                        COALESCE(JSON_EXTRACT(session_metadata, '$.duplicate_triggers'), JSON_ARRAY())
+                    ),
+                    '$.duplicate_triggers',
+                    JSON_OBJECT('message', ?, 'received_at', DATE_FORMAT(NOW(), '%Y-%m-%d %H:%i:%s'))
+                )
+            WHERE id = ?`,
+            [messageText, conversationId]
+        );
+        
+        logger.info(`[CONVERSATION] Disparador duplicado registrado: ID ${conversationId}`);
+        
+    } catch (error) {
+        logger.error(`[CONVERSATION] Error registrando duplicado en conversación ${conversationId}:`, error);
+    }
+}
+
+/**
+ * Cancela las conversaciones abiertas de un usuario en todas las líneas (ej: opt-out)
+ * @param {string} userPhone - Número de teléfono
+ * @param {string} reason - Razón de la cancelación
+ * @returns {Promise<Array<number>>} - IDs de las conversaciones canceladas
+ */
+async function cancelOpenConversations(userPhone, reason) {
+    try {
+        const [conversations] = await db.query(
+            `SELECT id
+            FROM bot_conversations
+            WHERE user_phone = ?
+                AND status IN ('INITIATED', 'IN_PROGRESS', 'INTERRUPTED')`,
+            [userPhone]
+        );
+        
+        const conversationIds = conversations.map(conversation => conversation.id);
+        
+        if (conversationIds.length === 0) {
+            return conversationIds;
+        }
+        
+        await db.query(
+            `UPDATE bot_conversations 
+            SET status = 'CANCELLED',
+                conversation_ended_at = NOW(),
+                updated_at = NOW(),
+                session_metadata = JSON_SET(
+                    COALESCE(session_metadata, '{}'),
+                    '$.cancel_reason',
+                    ?
+                )
+            WHERE id IN (?)`,
+            [reason, conversationIds]
+        );
+        
+        logger.info(`[CONVERSATION] Conversaciones canceladas de ${userPhone}: ${conversationIds.join(', ')} - Razón: ${reason}`);
+        
+        return conversationIds;
+        
+    } catch (error) {
+        logger.error(`[CONVERSATION] Error cancelando conversaciones de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Marca el paso (pregunta o menú) que la conversación espera que el lead responda.
+ * Es el puntero del flujo: el siguiente tramo se calcula a partir de este mensaje
+ * @param {number} conversationId - ID de la conversación
+ * @param {number} messageId - ID del mensaje tipo QUESTION o MENU enviado
+ * @returns {Promise<void>}
+ */
+async function setAwaitingQuestion(conversationId, messageId) {
+    try {
+        await db.query(
+            `UPDATE bot_conversations 
+            SET awaiting_message_id = ?,
+                awaiting_attempts = 0,
+                updated_at = NOW()
+            WHERE id = ?`,
+            [messageId, conversationId]
+        );
+        
+    } catch (error) {
+        logger.error(`[CONVERSATION] Error marcando pregunta pendiente en conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Suma un intento fallido a la pregunta pendiente
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<void>}
+ */
+async function incrementAwaitingAttempts(conversationId) {
+    try {
+        await db.query(
+            `UPDATE bot_conversations 
+            SET awaiting_attempts = awaiting_attempts + 1,
+                updated_at = NOW()
+            WHERE id = ?`,
+            [conversationId]
+        );
+        
+    } catch (error) {
+        logger.error(`[CONVERSATION] Error sumando intento en conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Quita la pregunta pendiente (ya fue respondida o se abandonó)
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<void>}
+ */
+async function clearAwaitingQuestion(conversationId) {
+    try {
+        await db.query(
+            `UPDATE bot_conversations 
+            SET awaiting_message_id = NULL,
+                awaiting_attempts = 0,
+                updated_at = NOW()
+            WHERE id = ?`,
+            [conversationId]
+        );
+        
+    } catch (error) {
+        logger.error(`[CONVERSATION] Error quitando pregunta pendiente de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Cierra una conversación cuyo lead dejó de responder el cuestionario
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<void>}
+ */
+async function closeUnansweredQuestionnaire(conversationId) {
+    try {
+        await db.query(
+            `UPDATE bot_conversations 
+            SET session_metadata = JSON_SET(
+                    COALESCE(session_metadata, '{}'),
+                    '$.questionnaire_abandoned_message_id', awaiting_message_id
+                ),
+                awaiting_message_id = NULL,
+                awaiting_attempts = 0
+            WHERE id = ?`,
+            [conversationId]
+        );
+        
+        await completeConversation(conversationId);
+        
+    } catch (error) {
+        logger.error(`[CONVERSATION] Error cerrando cuestionario sin respuesta ${conversationId}:`, error);
+        throw error;
+    }
+}
+
 /**
  * Obtiene estadísticas de conversaciones por usuario
  * @param {string} userPhone - Número de teléfono
@@ -303,15 +573,95 @@ async function getActiveConversationsByCorse(corse) {
     }
 }
 
+/**
+ * Obtiene las conversaciones abiertas sin actividad desde hace más del umbral
+ * y sin jobs pendientes en la cola (quedaron colgadas tras una caída)
+ * @param {number} staleMinutes - Minutos sin enviar mensajes
+ * @returns {Promise<Array>}
+ */
+async function getStaleConversations(staleMinutes) {
+    try {
+        const [conversations] = await db.query(
+            `SELECT 
+                bc.id,
+                bc.user_phone,
+                bc.user_name,
+                bc.campaign_id,
+                bc.corse,
+                bc.status,
+                bc.messages_sent,
+                bc.awaiting_message_id,
+                bc.last_message_sent_at,
+                bc.conversation_started_at
+            FROM bot_conversations bc
+            WHERE bc.status IN ('INITIATED', 'IN_PROGRESS', 'INTERRUPTED')
+                AND COALESCE(bc.last_message_sent_at, bc.conversation_started_at) < NOW() - INTERVAL ? MINUTE
+                AND NOT EXISTS (
+                    SELECT 1 FROM bot_outbound_jobs j
+                    WHERE j.conversation_id = bc.id
+                        AND j.job_type = 'SEQUENCE'
+                        AND j.status IN ('PENDING', 'PROCESSING')
+                )
+            ORDER BY bc.conversation_started_at ASC`,
+            [staleMinutes]
+        );
+        
+        return conversations;
+        
+    } catch (error) {
+        logger.error('[CONVERSATION] Error obteniendo conversaciones colgadas:', error);
+        throw error;
+    }
+}
+
+/**
+ * Marca una conversación colgada como reanudada (sus mensajes restantes ya fueron encolados)
+ * @param {number} conversationId - ID de la conversación
+ * @param {number} pendingMessages - Cantidad de mensajes reencolados
+ * @returns {Promise<void>}
+ */
+async function resumeConversation(conversationId, pendingMessages) {
+    try {
+        await db.query(
+            `UPDATE bot_conversations 
+            SET status = 'IN_PROGRESS',
+                updated_at = NOW(),
+                session_metadata = JSON_SET(
+                    COALESCE(session_metadata, '{}'),
+                    '$.resumed_at', DATE_FORMAT(NOW(), '%Y-%m-%d %H:%i:%s'),
+                    '$.resumed_pending_messages', ?
+                )
+            WHERE id = ?`,
+            [pendingMessages, conversationId]
+        );
+        
+        logger.info(`[CONVERSATION] Conversación reanudada: ID ${conversationId} - ${pendingMessages} mensajes pendientes`);
+        
+    } catch (error) {
+        logger.error(`[CONVERSATION] Error reanudando conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
 module.exports = {
     createConversation,
     updateConversationCorse,
     updateConversationStatus,
     incrementMessagesSent,
     getActiveConversation,
+    getRepliableConversation,
+    getLatestConversationId,
     getConversationById,
     completeConversation,
     failConversation,
+    recordDuplicateTrigger,
+    cancelOpenConversations,
+    setAwaitingQuestion,
+    incrementAwaitingAttempts,
+    clearAwaitingQuestion,
+    closeUnansweredQuestionnaire,
     getUserConversationStats,
-    getActiveConversationsByCorse
+    getActiveConversationsByCorse,
+    getStaleConversations,
+    resumeConversation
 };
\ No newline at end of file
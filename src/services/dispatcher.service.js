@@ -0,0 +1,406 @@
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const eventBus = require('../utils/event-bus');
+const { sleep, replaceVariables } = require('../utils/helpers');
+const lineManager = require('./line-manager.service');
+const jobQueue = require('./job-queue.service');
+const messageService = require('./message.service');
+const conversationService = require('./conversation.service');
+const flowService = require('./flow.service');
+const followupService = require('./followup.service');
+const optOutService = require('./optout.service');
+const handoffService = require('./handoff.service');
+const visitService = require('./visit.service');
+
+/**
+ * Worker que envía los jobs vencidos de la cola persistente a través del cliente de su línea
+ */
+class Dispatcher {
+    constructor() {
+        this.timer = null;
+        this.currentTick = null;
+        this.lastStaleRelease = 0;
+    }
+
+    /**
+     * Inicia el worker: recupera jobs bloqueados, reanuda conversaciones interrumpidas y empieza a sondear
+     */
+    async start() {
+        if (this.timer) return;
+
+        await this.releaseStaleJobs();
+        await jobQueue.resumeInterruptedConversations();
+
+        this.timer = setInterval(() => this.tick(), config.dispatcher.pollIntervalMs);
+        logger.info(`[DISPATCHER] ▶️ Dispatcher iniciado (cada ${config.dispatcher.pollIntervalMs}ms)`);
+    }
+
+    /**
+     * Detiene el sondeo (el envío en curso, si hay, termina igual)
+     */
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        logger.info('[DISPATCHER] ⏹️ Dispatcher detenido');
+    }
+
+    /**
+     * Líneas conectadas que pueden enviar
+     * @returns {Array<string>}
+     */
+    getReadyLineIds() {
+        return lineManager.listLines()
+            .filter(status => status.isReady)
+            .map(status => status.lineId);
+    }
+
+    /**
+     * Devuelve a la cola los jobs que quedaron en PROCESSING y anota cuándo se revisó
+     */
+    async releaseStaleJobs() {
+        this.lastStaleRelease = Date.now();
+        await jobQueue.releaseStaleJobs(config.dispatcher.staleLockMinutes);
+    }
+
+    /**
+     * Un ciclo del worker (no se solapa con el anterior)
+     */
+    async tick() {
+        if (this.currentTick) return;
+
+        this.currentTick = (async () => {
+            try {
+                if (Date.now() - this.lastStaleRelease >= config.dispatcher.staleCheckIntervalMs) {
+                    await this.releaseStaleJobs();
+                }
+
+                const jobs = await jobQueue.claimDueJobs(this.getReadyLineIds(), config.dispatcher.batchSize);
+
+                // Un job que falla no deja al resto del lote bloqueado en PROCESSING
+                for (const job of jobs) {
+                    try {
+                        await this.processJob(job);
+                    } catch (error) {
+                        logger.error(`[DISPATCHER] Error procesando job ${job.id}:`, error);
+                    }
+                }
+            } catch (error) {
+                logger.error('[DISPATCHER] Error en ciclo del dispatcher:', error);
+            }
+        })();
+
+        try {
+            await this.currentTick;
+        } finally {
+            this.currentTick = null;
+        }
+    }
+
+    /**
+     * Envía un job y actualiza la cola, el log y la conversación
+     * @param {object} job - Job tomado de la cola
+     */
+    async processJob(job) {
+        const line = lineManager.getLine(job.line_id);
+
+        // La línea pudo caerse entre que se tomó el job y ahora
+        if (!line || !line.isClientReady()) {
+            await jobQueue.scheduleRetry(job, 'Línea no conectada', config.dispatcher.retryDelaySeconds, false);
+            return;
+        }
+
+        if (job.job_type === 'FOLLOWUP') {
+            await this.processFollowup(job, line);
+            return;
+        }
+
+        if (job.job_type === 'REMINDER') {
+            await this.processReminder(job, line);
+            return;
+        }
+
+        let msg = null;
+        let whatsappMessageId = null;
+
+        try {
+            msg = await messageService.getMessageById(job.message_id);
+
+            if (!msg) {
+                throw new Error(`Mensaje ${job.message_id} no existe`);
+            }
+
+            // Una baja mientras el job estaba tomado cancela solo los PENDING: se revisa justo antes de enviar
+            if (await jobQueue.getJobStatus(job.id) !== 'PROCESSING') {
+                logger.info(`[DISPATCHER] Job ${job.id} cancelado mientras se procesaba, no se envía`);
+                return;
+            }
+
+            // Un número dado de baja o un chat derivado a un asesor no reciben más mensajes de la campaña
+            const cancelReason = await optOutService.isBlocked(job.user_phone)
+                ? 'Número bloqueado o dado de baja'
+                : await handoffService.getOpenHandoff(job.user_phone, job.line_id) ? 'Chat derivado a un asesor' : null;
+
+            if (cancelReason) {
+                await jobQueue.cancelJob(job, cancelReason);
+                logger.info(`[DISPATCHER] Job ${job.id} cancelado: ${cancelReason}`);
+                await this.finishConversationIfDone(job.conversation_id);
+                return;
+            }
+
+            // Un tipo no soportado es un error de configuración: se salta el paso sin reintentar
+            if (!messageService.isSupportedType(msg.type_code)) {
+                await this.skipStep(job, msg, `Tipo de mensaje no soportado: ${msg.type_code}`);
+                await this.finishConversationIfDone(job.conversation_id);
+                return;
+            }
+
+            // Un paso VISIT de una campaña sin proyecto es un error de configuración: reintentar no sirve
+            if (msg.type_code === 'VISIT' && !(await visitService.getCampaignProject(msg.campaign_id))) {
+                await this.skipStep(job, msg, `La campaña ${msg.campaign_id} no tiene un proyecto para agendar visitas`);
+                await this.finishConversationIfDone(job.conversation_id);
+                return;
+            }
+
+            logger.info(`[DISPATCHER] Enviando job ${job.id} - Mensaje ${job.sequence_order + 1} - Tipo: ${msg.type_code} - Conversación: ${job.conversation_id}`);
+
+            whatsappMessageId = await messageService.sendMessage(line.client, job.user_phone, msg, job.variables, {
+                conversationId: job.conversation_id
+            });
+
+        } catch (error) {
+            // Error de conexión: el mensaje no tiene la culpa, reintentar sin contar el intento
+            if (messageService.isConnectionError(error)) {
+                logger.error(`[DISPATCHER] Error de conexión enviando job ${job.id}, se reintentará: ${error.message}`);
+                await jobQueue.scheduleRetry(job, error.message, config.dispatcher.retryDelaySeconds, false);
+                return;
+            }
+
+            if (msg && job.attempts < config.dispatcher.maxAttempts) {
+                logger.warn(`[DISPATCHER] ⚠️ Job ${job.id} falló (intento ${job.attempts}/${config.dispatcher.maxAttempts}): ${error.message}`);
+                await jobQueue.scheduleRetry(job, error.message, config.dispatcher.retryDelaySeconds * job.attempts);
+                return;
+            }
+
+            logger.error(`[DISPATCHER] ❌ Job ${job.id} fallido definitivamente: ${error.message}`);
+            await messageService.logMessageFailed(job.conversation_id, job.message_id, error.message);
+            await jobQueue.markJobFailed(job, error.message);
+
+            eventBus.publish('message.failed', {
+                conversationId: job.conversation_id,
+                messageId: job.message_id,
+                lineId: job.line_id,
+                attempts: job.attempts,
+                error: error.message
+            });
+
+            await this.finishConversationIfDone(job.conversation_id);
+            return;
+        }
+
+        // El mensaje ya salió: un error de aquí en adelante no debe reintentar el envío
+        await this.recordSent(job, msg, whatsappMessageId);
+        await this.finishConversationIfDone(job.conversation_id);
+    }
+
+    /**
+     * Registra un envío exitoso en la cola, el log y la conversación.
+     * Los errores solo se loguean: el job ya no se reintenta
+     * @param {object} job - Job enviado
+     * @param {object} msg - Mensaje enviado
+     * @param {string} whatsappMessageId - ID del mensaje en WhatsApp
+     */
+    async recordSent(job, msg, whatsappMessageId) {
+        try {
+            // Primero la cola, para que el job no vuelva a tomarse aunque falle el resto
+            if (!(await jobQueue.markJobSent(job))) {
+                logger.warn(`[DISPATCHER] ⚠️ Job ${job.id} enviado después de ser cancelado, queda cancelado`);
+            }
+
+            await messageService.logMessageSent(job.conversation_id, job.message_id, whatsappMessageId);
+            await conversationService.incrementMessagesSent(job.conversation_id);
+
+            // Tras una pregunta o un menú la conversación espera la respuesta del lead antes de seguir
+            if (flowService.isInteractive(msg)) {
+                await conversationService.setAwaitingQuestion(job.conversation_id, job.message_id);
+            }
+
+            logger.info(`[DISPATCHER] ✅ Job ${job.id} enviado`);
+
+        } catch (error) {
+            logger.error(`[DISPATCHER] Job ${job.id} enviado pero no se pudo registrar el envío:`, error);
+        }
+    }
+
+    /**
+     * Salta un paso que no se puede enviar y encola el tramo que le sigue
+     * @param {object} job - Job del paso
+     * @param {object} msg - Mensaje del paso
+     * @param {string} reason - Motivo
+     */
+    async skipStep(job, msg, reason) {
+        logger.warn(`[DISPATCHER] ⏭️ Job ${job.id} saltado: ${reason}`);
+
+        await jobQueue.cancelJob(job, reason);
+
+        await jobQueue.enqueueSequence({
+            conversationId: job.conversation_id,
+            lineId: job.line_id,
+            userPhone: job.user_phone,
+            messages: await flowService.getNextSegment(msg.id),
+            variables: job.variables
+        });
+    }
+
+    /**
+     * Envía un seguimiento programado, salvo que ya no corresponda (baja, handoff o respuesta del lead).
+     * No toca el estado de la conversación: ya estaba completada
+     * @param {object} job - Job FOLLOWUP tomado de la cola
+     * @param {object} line - Línea que lo envía
+     */
+    async processFollowup(job, line) {
+        try {
+            const skipReason = await followupService.getSkipReason(job);
+            const followup = skipReason ? null : await followupService.getFollowupById(job.followup_id);
+
+            if (skipReason || !followup) {
+                await jobQueue.cancelJob(job, skipReason || 'Seguimiento desactivado');
+                logger.info(`[DISPATCHER] Seguimiento ${job.id} cancelado: ${skipReason || 'Seguimiento desactivado'}`);
+                return;
+            }
+
+            logger.info(`[DISPATCHER] Enviando seguimiento "${followup.name}" (job ${job.id}) a ${job.user_phone} - Conversación: ${job.conversation_id}`);
+
+            await line.client.sendMessage(job.user_phone, replaceVariables(followup.content, job.variables));
+            await jobQueue.markJobSent(job);
+
+            logger.info(`[DISPATCHER] ✅ Seguimiento ${job.id} enviado`);
+
+        } catch (error) {
+            await this.retryOrFail(job, error, 'Seguimiento');
+        }
+    }
+
+    /**
+     * Envía el recordatorio de una visita, salvo que ya no siga confirmada o el lead se haya dado de baja
+     * @param {object} job - Job REMINDER tomado de la cola
+     * @param {object} line - Línea que lo envía
+     */
+    async processReminder(job, line) {
+        try {
+            const booking = await visitService.getBookingById(job.booking_id);
+            const skipReason = !booking || booking.status !== 'CONFIRMED'
+                ? 'Visita cancelada o reprogramada'
+                : await optOutService.isBlocked(job.user_phone) ? 'Número bloqueado o dado de baja' : null;
+
+            if (skipReason) {
+                await jobQueue.cancelJob(job, skipReason);
+                logger.info(`[DISPATCHER] Recordatorio ${job.id} cancelado: ${skipReason}`);
+                return;
+            }
+
+            await line.client.sendMessage(job.user_phone, visitService.buildBookingMessage(config.visits.reminderMessage, booking, job.variables));
+            await jobQueue.markJobSent(job);
+
+            logger.info(`[DISPATCHER] ✅ Recordatorio de visita ${booking.id} enviado a ${job.user_phone}`);
+
+        } catch (error) {
+            await this.retryOrFail(job, error, 'Recordatorio');
+        }
+    }
+
+    /**
+     * Reintenta un job auxiliar (seguimiento, recordatorio) o lo da por fallido al agotar los intentos
+     * @param {object} job - Job que falló
+     * @param {Error} error - Error del envío
+     * @param {string} label - Tipo de job para el log
+     */
+    async retryOrFail(job, error, label) {
+        if (messageService.isConnectionError(error)) {
+            logger.error(`[DISPATCHER] Error de conexión enviando ${label.toLowerCase()} ${job.id}, se reintentará: ${error.message}`);
+            await jobQueue.scheduleRetry(job, error.message, config.dispatcher.retryDelaySeconds, false);
+            return;
+        }
+
+        if (job.attempts < config.dispatcher.maxAttempts) {
+            logger.warn(`[DISPATCHER] ⚠️ ${label} ${job.id} falló (intento ${job.attempts}/${config.dispatcher.maxAttempts}): ${error.message}`);
+            await jobQueue.scheduleRetry(job, error.message, config.dispatcher.retryDelaySeconds * job.attempts);
+            return;
+        }
+
+        logger.error(`[DISPATCHER] ❌ ${label} ${job.id} fallido definitivamente: ${error.message}`);
+        await jobQueue.markJobFailed(job, error.message);
+    }
+
+    /**
+     * Cierra la conversación cuando ya no le quedan jobs de secuencia pendientes
+     * ni una pregunta esperando respuesta
+     * @param {number} conversationId - ID de la conversación
+     */
+    async finishConversationIfDone(conversationId) {
+        const summary = await jobQueue.getSequenceSummary(conversationId);
+
+        if (summary.pending > 0) return;
+
+        const conversation = await conversationService.getConversationById(conversationId);
+
+        if (conversation && conversation.awaiting_message_id) return;
+
+        // completeConversation/failConversation no tocan conversaciones ya cerradas (ej: canceladas por una baja)
+        if (summary.sent === summary.total) {
+            if (await conversationService.completeConversation(conversationId)) {
+                logger.info(`[DISPATCHER] ✅ Conversación ${conversationId} completada: ${summary.sent}/${summary.total}`);
+            }
+        } else if (summary.failed === summary.total) {
+            if (await conversationService.failConversation(conversationId, 'Todos los mensajes fallaron')) {
+                logger.error(`[DISPATCHER] ❌ Conversación ${conversationId} fallida: ${summary.failed}/${summary.total}`);
+            }
+        } else if (await conversationService.completeConversation(conversationId)) {
+            logger.warn(`[DISPATCHER] ⚠️ Conversación ${conversationId} completada con errores: ${summary.sent}/${summary.total}`);
+        }
+    }
+
+    /**
+     * Drena la cola antes del apagado: sigue enviando los jobs que vencen dentro del plazo,
+     * luego se detiene, espera el envío en curso y marca como interrumpidas las conversaciones
+     * que aún tienen jobs (se reanudan al volver a iniciar)
+     * @param {number} deadlineMs - Plazo para enviar lo que vence
+     * @param {number} checkpointGraceMs - Espera extra para el envío en curso
+     * @returns {Promise<void>}
+     */
+    async drain(deadlineMs, checkpointGraceMs) {
+        const deadline = new Date(Date.now() + deadlineMs);
+
+        logger.info(`[DISPATCHER] ⏳ Drenando cola (máx. ${deadlineMs / 1000}s)`);
+
+        while (Date.now() < deadline.getTime()) {
+            const pending = await jobQueue.countDueBefore(this.getReadyLineIds(), deadline);
+
+            if (pending === 0) break;
+
+            await sleep(1000);
+        }
+
+        this.stop();
+
+        if (this.currentTick) {
+            await Promise.race([this.currentTick, sleep(checkpointGraceMs)]);
+        }
+
+        const interrupted = await jobQueue.interruptPendingConversations();
+
+        if (interrupted > 0) {
+            logger.warn(`[DISPATCHER] ⏸️ ${interrupted} conversaciones interrumpidas, se reanudarán al reiniciar`);
+        }
+    }
+
+    getStatus() {
+        return {
+            running: this.timer !== null,
+            busy: this.currentTick !== null
+        };
+    }
+}
+
+module.exports = new Dispatcher();
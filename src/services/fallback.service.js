@@ -0,0 +1,178 @@
+const db = require('../config/database2');
+const logger = require('../utils/logger');
+const { replaceVariables } = require('../utils/helpers');
+const campaignService = require('./campaign.service');
+
+/**
+ * Obtiene la respuesta por defecto activa de una línea (la propia de la línea tiene prioridad sobre la general)
+ * @param {string} lineId - ID de la línea
+ * @returns {Promise<object|null>}
+ */
+async function getFallbackReply(lineId) {
+    try {
+        const [replies] = await db.query(
+            `SELECT
+                id,
+                line_id,
+                content,
+                include_campaign_menu,
+                cooldown_hours
+            FROM bot_fallback_replies
+            WHERE is_active = TRUE
+                AND deleted_at IS NULL
+                AND (line_id = ? OR line_id IS NULL)
+            ORDER BY line_id IS NULL ASC, id DESC
+            LIMIT 1`,
+            [lineId]
+        );
+
+        return replies.length > 0 ? replies[0] : null;
+
+    } catch (error) {
+        logger.error(`[FALLBACK] Error obteniendo respuesta por defecto de línea ${lineId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Verifica si al usuario ya se le envió la respuesta por defecto dentro del periodo
+ * @param {string} userPhone - Número del usuario
+ * @param {number} cooldownHours - Periodo en horas
+ * @returns {Promise<boolean>}
+ */
+async function wasSentRecently(userPhone, cooldownHours) {
+    try {
+        const [rows] = await db.query(
+            `SELECT 1
+            FROM bot_unmatched_messages
+            WHERE user_phone = ?
+                AND fallback_sent = TRUE
+                AND received_at >= NOW() - INTERVAL ? HOUR
+            LIMIT 1`,
+            [userPhone, cooldownHours]
+        );
+
+        return rows.length > 0;
+
+    } catch (error) {
+        logger.error(`[FALLBACK] Error verificando último envío a ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Palabra que el usuario puede escribir para disparar la campaña
+ * @param {object} campaign - Campaña con trigger_keywords
+ * @returns {string|null}
+ */
+function getCampaignHint(campaign) {
+    try {
+        const triggerKeywords = typeof campaign.trigger_keywords === 'string'
+            ? JSON.parse(campaign.trigger_keywords)
+            : campaign.trigger_keywords;
+
+        if (!triggerKeywords) return null;
+
+        const candidates = [...(triggerKeywords.exact_matches || []), ...(triggerKeywords.keywords || [])];
+
+        return candidates.length > 0 ? candidates[0] : null;
+
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Arma el menú de campañas activas ("1. Proyecto - escribe *keyword*")
+ * @param {Array<number>|null} campaignIds - Campañas de la línea (null = todas)
+ * @returns {Promise<string>}
+ */
+async function buildCampaignMenu(campaignIds) {
+    const campaigns = await campaignService.getActiveCampaigns(campaignIds);
+
+    return campaigns.map((campaign, index) => {
+        const hint = getCampaignHint(campaign);
+        return hint
+            ? `${index + 1}. ${campaign.name} - escribe *${hint}*`
+            : `${index + 1}. ${campaign.name}`;
+    }).join('\n');
+}
+
+/**
+ * Arma el texto de la respuesta por defecto
+ * @param {object} reply - Respuesta configurada
+ * @param {object} variables - {nombre, telefono}
+ * @param {Array<number>|null} campaignIds - Campañas de la línea
+ * @returns {Promise<string>}
+ */
+async function buildFallbackContent(reply, variables, campaignIds) {
+    const menu = reply.include_campaign_menu ? await buildCampaignMenu(campaignIds) : '';
+    let content = replaceVariables(reply.content, { ...variables, campanas: menu });
+
+    // Si el contenido no ubica el menú, va al final
+    if (menu && !/\{campanas\}/i.test(reply.content)) {
+        content = `${content}\n\n${menu}`;
+    }
+
+    return content.trim();
+}
+
+/**
+ * Registra un mensaje que no disparó campaña y la respuesta enviada (si hubo)
+ * @param {object} data
+ * @returns {Promise<void>}
+ */
+async function recordUnmatchedMessage({ lineId, userPhone, userName, messageText, fallbackReplyId = null, fallbackContent = null }) {
+    try {
+        await db.query(
+            `INSERT INTO bot_unmatched_messages
+            (line_id, user_phone, user_name, message_text, fallback_reply_id, fallback_sent, fallback_content, received_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [lineId, userPhone, userName, messageText, fallbackReplyId, fallbackContent !== null, fallbackContent]
+        );
+
+    } catch (error) {
+        logger.error(`[FALLBACK] Error registrando mensaje sin campaña de ${userPhone}:`, error);
+        // No lanzar error para no interrumpir el flujo
+    }
+}
+
+/**
+ * Lista los mensajes sin campaña más recientes para revisión
+ * @param {object} filters
+ * @param {string|null} filters.lineId - Filtrar por línea
+ * @param {number} filters.limit - Máximo de resultados
+ * @returns {Promise<Array>}
+ */
+async function getUnmatchedMessages({ lineId = null, limit = 100 } = {}) {
+    try {
+        let query = `SELECT *
+            FROM bot_unmatched_messages`;
+
+        const params = [];
+
+        if (lineId) {
+            query += ` WHERE line_id = ?`;
+            params.push(lineId);
+        }
+
+        query += ` ORDER BY received_at DESC LIMIT ?`;
+        params.push(limit);
+
+        const [messages] = await db.query(query, params);
+
+        return messages;
+
+    } catch (error) {
+        logger.error('[FALLBACK] Error listando mensajes sin campaña:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    getFallbackReply,
+    wasSentRecently,
+    buildFallbackContent,
+    recordUnmatchedMessage,
+    getUnmatchedMessages
+};
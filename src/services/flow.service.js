@@ -0,0 +1,201 @@
+const logger = require('../utils/logger');
+const { normalizeText } = require('../utils/keyword-matcher');
+const messageService = require('./message.service');
+
+// Pasos que esperan la respuesta del lead antes de seguir con la secuencia
+const INTERACTIVE_TYPES = ['QUESTION', 'MENU', 'VISIT'];
+
+/**
+ * Indica si un mensaje espera respuesta del lead
+ * @param {object} message - Mensaje con type_code
+ * @returns {boolean}
+ */
+function isInteractive(message) {
+    return INTERACTIVE_TYPES.includes(message.type_code);
+}
+
+/**
+ * Tramo de la secuencia que se envía de una vez: hasta el primer paso interactivo
+ * inclusive (pregunta, menú o agenda de visita)
+ * @param {Array} messages - Mensajes en orden
+ * @returns {Array}
+ */
+function takeUntilInteractive(messages) {
+    const interactiveIndex = messages.findIndex(isInteractive);
+
+    return interactiveIndex === -1 ? messages : messages.slice(0, interactiveIndex + 1);
+}
+
+/**
+ * Lista a la que pertenece un mensaje: la secuencia principal de la campaña o su rama
+ * @param {object} message - Mensaje con campaign_id y branch_id
+ * @returns {Promise<Array>}
+ */
+function getSiblingMessages(message) {
+    return message.branch_id
+        ? messageService.getBranchMessages(message.branch_id)
+        : messageService.getCampaignMessages(message.campaign_id);
+}
+
+/**
+ * Mensaje MENU del que cuelga una lista (null si es la secuencia principal)
+ * @param {object} message - Mensaje de la lista
+ * @returns {Promise<object|null>}
+ */
+async function getParentMenu(message) {
+    if (!message.branch_id) return null;
+
+    const branch = await messageService.getBranchById(message.branch_id);
+
+    return branch ? messageService.getMessageById(branch.menu_message_id) : null;
+}
+
+/**
+ * Arma el tramo a encolar: los mensajes dados hasta el siguiente paso interactivo y,
+ * si la lista se acaba antes, lo que sigue después del menú del que cuelga
+ * @param {Array} messages - Mensajes restantes de la lista actual
+ * @param {object|null} parentMenu - Menú del que cuelga la lista
+ * @returns {Promise<Array>}
+ */
+async function buildSegment(messages, parentMenu) {
+    const segment = takeUntilInteractive(messages);
+    const last = segment[segment.length - 1];
+
+    if ((last && isInteractive(last)) || !parentMenu) {
+        return segment;
+    }
+
+    return segment.concat(await getNextSegment(parentMenu.id));
+}
+
+/**
+ * Tramo que sigue después de un mensaje (normalmente el paso interactivo recién respondido)
+ * @param {number} messageId - ID del mensaje
+ * @returns {Promise<Array>} - Vacío si el flujo terminó
+ */
+async function getNextSegment(messageId) {
+    const message = await messageService.getMessageById(messageId);
+
+    if (!message) return [];
+
+    const siblings = await getSiblingMessages(message);
+    const index = siblings.findIndex(sibling => sibling.id === message.id);
+    const rest = index === -1 ? [] : siblings.slice(index + 1);
+
+    return buildSegment(rest, await getParentMenu(message));
+}
+
+/**
+ * Tramo con el que arranca una rama elegida en un menú
+ * @param {object} branch - Rama elegida
+ * @returns {Promise<Array>}
+ */
+async function getBranchSegment(branch) {
+    const messages = await messageService.getBranchMessages(branch.id);
+    const menu = await messageService.getMessageById(branch.menu_message_id);
+
+    return buildSegment(messages, menu);
+}
+
+/**
+ * Indica si una lista tiene preguntas, incluidas las de las ramas de sus menús
+ * @param {Array} messages - Mensajes de la lista
+ * @returns {Promise<boolean>}
+ */
+async function containsQuestion(messages) {
+    for (const message of messages) {
+        if (message.type_code === 'QUESTION') return true;
+
+        if (message.type_code !== 'MENU') continue;
+
+        for (const branch of await messageService.getMenuBranches(message.id)) {
+            if (await containsQuestion(await messageService.getBranchMessages(branch.id))) return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Indica si al lead todavía le pueden quedar preguntas después de un mensaje: en lo que
+ * resta de su lista, en las ramas de los menús que siguen y después del menú del que cuelga
+ * @param {number} messageId - ID del mensaje
+ * @returns {Promise<boolean>}
+ */
+async function hasQuestionsAhead(messageId) {
+    let message = await messageService.getMessageById(messageId);
+
+    while (message) {
+        const siblings = await getSiblingMessages(message);
+        const index = siblings.findIndex(sibling => sibling.id === message.id);
+
+        if (index !== -1 && await containsQuestion(siblings.slice(index + 1))) return true;
+
+        message = await getParentMenu(message);
+    }
+
+    return false;
+}
+
+/**
+ * Indica si al lead le pueden quedar preguntas al entrar a una rama elegida en un menú
+ * @param {object} branch - Rama elegida
+ * @returns {Promise<boolean>}
+ */
+async function branchHasQuestions(branch) {
+    return await containsQuestion(await messageService.getBranchMessages(branch.id))
+        || hasQuestionsAhead(branch.menu_message_id);
+}
+
+/**
+ * Busca la opción elegida: por número ("2") o por texto (etiqueta o sinónimo)
+ * @param {Array} branches - Opciones del menú
+ * @param {string} answerText - Texto recibido
+ * @returns {object|null}
+ */
+function matchBranch(branches, answerText) {
+    const normalized = normalizeText(answerText);
+
+    if (/^\d+$/.test(normalized)) {
+        return branches.find(branch => branch.option_number === Number(normalized)) || null;
+    }
+
+    return branches.find(branch =>
+        [branch.label, ...(branch.synonyms || [])]
+            .filter(Boolean)
+            .some(candidate => {
+                const normalizedCandidate = normalizeText(String(candidate));
+                return normalized === normalizedCandidate || ` ${normalized} `.includes(` ${normalizedCandidate} `);
+            })
+    ) || null;
+}
+
+/**
+ * Obtiene un menú con sus opciones
+ * @param {number} messageId - ID del mensaje MENU
+ * @returns {Promise<{message: object, branches: Array}|null>}
+ */
+async function getMenu(messageId) {
+    const message = await messageService.getMessageById(messageId);
+
+    if (!message || message.type_code !== 'MENU') {
+        logger.warn(`[FLOW] El mensaje ${messageId} no es un menú`);
+        return null;
+    }
+
+    return {
+        message,
+        branches: await messageService.getMenuBranches(messageId)
+    };
+}
+
+module.exports = {
+    isInteractive,
+    takeUntilInteractive,
+    getNextSegment,
+    getBranchSegment,
+    hasQuestionsAhead,
+    branchHasQuestions,
+    matchBranch,
+    getMenu
+};
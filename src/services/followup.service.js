@@ -0,0 +1,221 @@
+const db = require('../config/database2');
+const logger = require('../utils/logger');
+const eventBus = require('../utils/event-bus');
+const jobQueue = require('./job-queue.service');
+const conversationService = require('./conversation.service');
+const campaignService = require('./campaign.service');
+const businessHoursService = require('./business-hours.service');
+const optOutService = require('./optout.service');
+const handoffService = require('./handoff.service');
+
+let unsubscribe = null;
+
+/**
+ * Obtiene los seguimientos activos de una campaña ordenados por espera
+ * @param {number} campaignId - ID de la campaña
+ * @returns {Promise<Array>}
+ */
+async function getCampaignFollowups(campaignId) {
+    try {
+        const [followups] = await db.query(
+            `SELECT id, campaign_id, name, delay_hours, content
+            FROM campaign_followups
+            WHERE campaign_id = ?
+                AND is_active = TRUE
+                AND deleted_at IS NULL
+            ORDER BY delay_hours ASC, id ASC`,
+            [campaignId]
+        );
+
+        return followups;
+
+    } catch (error) {
+        logger.error(`[FOLLOWUP] Error obteniendo seguimientos de campaña ${campaignId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene un seguimiento activo
+ * @param {number} followupId - ID del seguimiento
+ * @returns {Promise<object|null>}
+ */
+async function getFollowupById(followupId) {
+    try {
+        const [followups] = await db.query(
+            `SELECT id, campaign_id, name, delay_hours, content
+            FROM campaign_followups
+            WHERE id = ?
+                AND is_active = TRUE
+                AND deleted_at IS NULL`,
+            [followupId]
+        );
+
+        return followups[0] || null;
+
+    } catch (error) {
+        logger.error(`[FOLLOWUP] Error obteniendo seguimiento ${followupId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Verifica si el lead escribió algo desde una fecha
+ * @param {string} userPhone - Número del usuario
+ * @param {Date} since - Desde cuándo
+ * @returns {Promise<boolean>}
+ */
+async function hasRepliedSince(userPhone, since) {
+    try {
+        const [rows] = await db.query(
+            `SELECT 1
+            FROM bot_inbound_messages
+            WHERE user_phone = ?
+                AND received_at > ?
+            LIMIT 1`,
+            [userPhone, since]
+        );
+
+        return rows.length > 0;
+
+    } catch (error) {
+        logger.error(`[FOLLOWUP] Error verificando respuestas de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Programa los seguimientos de la campaña para una conversación recién completada.
+ * La hora de cada uno se cuenta desde el cierre y, si cae fuera de horario, pasa a la próxima apertura
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<number>} - Cantidad de seguimientos programados
+ */
+async function scheduleFollowups(conversationId) {
+    try {
+        const conversation = await conversationService.getConversationById(conversationId);
+
+        if (!conversation || conversation.status !== 'COMPLETED') return 0;
+
+        const followups = await getCampaignFollowups(conversation.campaign_id);
+
+        if (followups.length === 0) return 0;
+
+        // Una conversación puede completarse más de una vez (ej: reconciliador), no duplicar
+        if (await jobQueue.hasJobs(conversationId, 'FOLLOWUP')) return 0;
+
+        if (await optOutService.isBlocked(conversation.user_phone)) {
+            logger.info(`[FOLLOWUP] ${conversation.user_phone} está bloqueado, no se programan seguimientos`);
+            return 0;
+        }
+
+        const lineId = await jobQueue.getConversationLineId(conversationId);
+
+        if (!lineId) {
+            logger.warn(`[FOLLOWUP] Conversación ${conversationId} sin línea conocida, no se programan seguimientos`);
+            return 0;
+        }
+
+        if (await handoffService.getOpenHandoff(conversation.user_phone, lineId)) return 0;
+
+        const campaign = await campaignService.getCampaignById(conversation.campaign_id);
+        const completedAt = conversation.conversation_ended_at ? new Date(conversation.conversation_ended_at) : new Date();
+        const schedule = [];
+
+        for (const followup of followups) {
+            let dueAt = new Date(completedAt.getTime() + followup.delay_hours * 60 * 60 * 1000);
+            const outOfHours = campaign ? await businessHoursService.getOutOfHours(campaign, lineId, dueAt) : null;
+
+            if (outOfHours && outOfHours.nextOpening) {
+                dueAt = outOfHours.nextOpening;
+            }
+
+            schedule.push({ followup, dueAt });
+        }
+
+        return await jobQueue.enqueueFollowups({
+            conversationId,
+            lineId,
+            userPhone: conversation.user_phone,
+            schedule,
+            variables: { nombre: conversation.user_name, telefono: conversation.user_phone }
+        });
+
+    } catch (error) {
+        logger.error(`[FOLLOWUP] Error programando seguimientos de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Cancela los seguimientos pendientes de un lead
+ * @param {string} userPhone - Número del usuario
+ * @param {string} reason - Motivo
+ * @returns {Promise<number>}
+ */
+async function cancelFollowups(userPhone, reason) {
+    try {
+        return await jobQueue.cancelUserJobs(userPhone, 'FOLLOWUP', reason);
+
+    } catch (error) {
+        logger.error(`[FOLLOWUP] Error cancelando seguimientos de ${userPhone}:`, error);
+        // No lanzar error para no interrumpir el flujo
+        return 0;
+    }
+}
+
+/**
+ * Motivo para no enviar un seguimiento ya vencido (se revisa otra vez al enviar
+ * por si la cancelación no alcanzó a aplicarse)
+ * @param {object} job - Job FOLLOWUP
+ * @returns {Promise<string|null>} - null si se puede enviar
+ */
+async function getSkipReason(job) {
+    if (await optOutService.isBlocked(job.user_phone)) {
+        return 'Número bloqueado o dado de baja';
+    }
+
+    if (await handoffService.getOpenHandoff(job.user_phone, job.line_id)) {
+        return 'Chat derivado a un asesor';
+    }
+
+    if (await hasRepliedSince(job.user_phone, job.created_at)) {
+        return 'El lead respondió';
+    }
+
+    return null;
+}
+
+/**
+ * Escucha el bus: programa seguimientos al completar una conversación
+ * y los cancela al derivar el chat a un asesor
+ */
+function start() {
+    if (unsubscribe) return;
+
+    unsubscribe = eventBus.subscribe(({ type, data }) => {
+        if (type === 'conversation.completed') {
+            // El error ya quedó registrado en scheduleFollowups
+            scheduleFollowups(data.conversationId).catch(() => {});
+        } else if (type === 'handoff.opened') {
+            cancelFollowups(data.userPhone, 'Chat derivado a un asesor');
+        }
+    });
+
+    logger.info('[FOLLOWUP] ▶️ Programador de seguimientos iniciado');
+}
+
+function stop() {
+    if (!unsubscribe) return;
+
+    unsubscribe();
+    unsubscribe = null;
+}
+
+module.exports = {
+    getFollowupById,
+    scheduleFollowups,
+    cancelFollowups,
+    getSkipReason,
+    start,
+    stop
+};
@@ -0,0 +1,183 @@
+const db = require('../config/database2');
+const logger = require('../utils/logger');
+const eventBus = require('../utils/event-bus');
+
+/**
+ * Obtiene el handoff abierto de un chat (usuario + línea)
+ * @param {string} userPhone - Número del usuario
+ * @param {string} lineId - ID de la línea
+ * @returns {Promise<object|null>}
+ */
+async function getOpenHandoff(userPhone, lineId) {
+    try {
+        const [handoffs] = await db.query(
+            `SELECT *
+            FROM bot_handoffs
+            WHERE user_phone = ?
+                AND line_id = ?
+                AND status = 'OPEN'
+            ORDER BY opened_at DESC
+            LIMIT 1`,
+            [userPhone, lineId]
+        );
+
+        return handoffs.length > 0 ? handoffs[0] : null;
+
+    } catch (error) {
+        logger.error(`[HANDOFF] Error obteniendo handoff abierto de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Abre un handoff: el chat queda derivado a un asesor y la conversación marcada
+ * @param {object} data
+ * @param {number} data.conversationId - Conversación a la que responde el lead
+ * @param {string} data.lineId - ID de la línea
+ * @param {string} data.userPhone - Número del usuario
+ * @param {string} data.userName - Nombre del usuario
+ * @param {string} data.messageText - Mensaje del lead
+ * @param {string|null} data.forwardedTo - Número al que se reenvió (null = solo cola)
+ * @returns {Promise<number>} - ID del handoff
+ */
+async function openHandoff({ conversationId, lineId, userPhone, userName, messageText, forwardedTo = null }) {
+    try {
+        const [result] = await db.query(
+            `INSERT INTO bot_handoffs
+            (conversation_id, line_id, user_phone, user_name, status, first_message, last_message, forwarded_to, opened_at, last_message_at)
+            VALUES (?, ?, ?, ?, 'OPEN', ?, ?, ?, NOW(), NOW())`,
+            [conversationId, lineId, userPhone, userName, messageText, messageText, forwardedTo]
+        );
+
+        await db.query(
+            `UPDATE bot_conversations
+            SET updated_at = NOW(),
+                session_metadata = JSON_SET(
+                    COALESCE(session_metadata, '{}'),
+                    '$.handoff_id', ?,
+                    '$.handoff_at', DATE_FORMAT(NOW(), '%Y-%m-%d %H:%i:%s')
+                )
+            WHERE id = ?`,
+            [result.insertId, conversationId]
+        );
+
+        logger.info(`[HANDOFF] 🙋 Handoff ${result.insertId} abierto: ${userPhone} (conversación ${conversationId}, línea ${lineId})`);
+
+        eventBus.publish('handoff.opened', {
+            handoffId: result.insertId,
+            conversationId,
+            lineId,
+            userPhone,
+            userName
+        });
+
+        return result.insertId;
+
+    } catch (error) {
+        logger.error(`[HANDOFF] Error abriendo handoff de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Registra un nuevo mensaje del lead en un handoff abierto
+ * @param {number} handoffId - ID del handoff
+ * @param {string} messageText - Mensaje del lead
+ * @returns {Promise<void>}
+ */
+async function recordHandoffMessage(handoffId, messageText) {
+    try {
+        await db.query(
+            `UPDATE bot_handoffs
+            SET last_message = ?,
+                messages_count = messages_count + 1,
+                last_message_at = NOW()
+            WHERE id = ?`,
+            [messageText, handoffId]
+        );
+
+    } catch (error) {
+        logger.error(`[HANDOFF] Error registrando mensaje en handoff ${handoffId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Lista los handoffs (por defecto los abiertos, del más antiguo al más nuevo)
+ * @param {object} filters
+ * @param {string} filters.status - OPEN | RELEASED
+ * @param {string|null} filters.lineId - Filtrar por línea
+ * @param {number} filters.limit - Máximo de resultados
+ * @returns {Promise<Array>}
+ */
+async function listHandoffs({ status = 'OPEN', lineId = null, limit = 100 } = {}) {
+    try {
+        let query = `SELECT
+                h.*,
+                c.name as campaign_name
+            FROM bot_handoffs h
+            INNER JOIN bot_conversations bc ON h.conversation_id = bc.id
+            INNER JOIN campaigns c ON bc.campaign_id = c.id
+            WHERE h.status = ?`;
+
+        const params = [status];
+
+        if (lineId) {
+            query += ` AND h.line_id = ?`;
+            params.push(lineId);
+        }
+
+        query += ` ORDER BY h.opened_at ASC LIMIT ?`;
+        params.push(limit);
+
+        const [handoffs] = await db.query(query, params);
+
+        return handoffs;
+
+    } catch (error) {
+        logger.error('[HANDOFF] Error listando handoffs:', error);
+        throw error;
+    }
+}
+
+/**
+ * Libera un handoff: el bot vuelve a responder automáticamente a ese chat
+ * @param {number} handoffId - ID del handoff
+ * @param {string} releasedBy - Quién lo libera (asesor, API key)
+ * @returns {Promise<boolean>} - false si no existe o ya estaba liberado
+ */
+async function releaseHandoff(handoffId, releasedBy) {
+    try {
+        const [result] = await db.query(
+            `UPDATE bot_handoffs
+            SET status = 'RELEASED',
+                released_at = NOW(),
+                released_by = ?
+            WHERE id = ?
+                AND status = 'OPEN'`,
+            [releasedBy, handoffId]
+        );
+
+        if (result.affectedRows === 0) {
+            return false;
+        }
+
+        logger.info(`[HANDOFF] ✅ Handoff ${handoffId} liberado por ${releasedBy}`);
+
+        eventBus.publish('handoff.released', { handoffId, releasedBy });
+
+        return true;
+
+    } catch (error) {
+        logger.error(`[HANDOFF] Error liberando handoff ${handoffId}:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    getOpenHandoff,
+    openHandoff,
+    recordHandoffMessage,
+    listHandoffs,
+    releaseHandoff
+};
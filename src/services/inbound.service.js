@@ -0,0 +1,180 @@
+const db = require('../config/database2');
+const logger = require('../utils/logger');
+
+/**
+ * Extrae los datos propios de cada tipo de mensaje (sin descargar el archivo)
+ * @param {object} message - Mensaje de whatsapp-web.js
+ * @returns {object|null}
+ */
+function extractMetadata(message) {
+    const metadata = {};
+
+    if (message.duration) {
+        metadata.duration = Number(message.duration);
+    }
+
+    if (message.location) {
+        metadata.location = {
+            latitude: message.location.latitude,
+            longitude: message.location.longitude,
+            description: message.location.description || null
+        };
+    }
+
+    if (message.vCards && message.vCards.length > 0) {
+        metadata.vcards = message.vCards;
+    }
+
+    if (message.hasQuotedMsg && message._data && message._data.quotedStanzaID) {
+        metadata.quoted_message_id = message._data.quotedStanzaID;
+    }
+
+    if (message.isForwarded) {
+        metadata.forwarded = true;
+    }
+
+    return Object.keys(metadata).length > 0 ? metadata : null;
+}
+
+/**
+ * Registra un mensaje entrante (cualquier tipo). La conversación se vincula después,
+ * cuando se sabe a cuál pertenece
+ * @param {object} message - Mensaje de whatsapp-web.js
+ * @param {string} lineId - Línea que lo recibió
+ * @returns {Promise<number|null>} - ID del registro (null si no se pudo registrar)
+ */
+async function logInboundMessage(message, lineId) {
+    try {
+        const data = message._data || {};
+        const metadata = extractMetadata(message);
+        const receivedAt = message.timestamp ? new Date(message.timestamp * 1000) : new Date();
+
+        const [result] = await db.query(
+            `INSERT INTO bot_inbound_messages
+            (line_id, user_phone, whatsapp_message_id, message_type, body, has_media, media_mimetype, media_filename, media_size, metadata, received_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                lineId,
+                message.from,
+                message.id ? message.id._serialized : null,
+                message.type || 'unknown',
+                message.body || null,
+                !!message.hasMedia,
+                data.mimetype || null,
+                data.filename || null,
+                data.size || null,
+                metadata ? JSON.stringify(metadata) : null,
+                receivedAt
+            ]
+        );
+
+        return result.insertId;
+
+    } catch (error) {
+        logger.error(`[INBOUND] Error registrando mensaje entrante de ${message.from}:`, error);
+        // No lanzar error para no interrumpir el flujo
+        return null;
+    }
+}
+
+/**
+ * Vincula un mensaje entrante con su conversación
+ * @param {number} inboundId - ID del registro
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<void>}
+ */
+async function linkConversation(inboundId, conversationId) {
+    try {
+        await db.query(
+            'UPDATE bot_inbound_messages SET conversation_id = ? WHERE id = ?',
+            [conversationId, inboundId]
+        );
+
+    } catch (error) {
+        logger.error(`[INBOUND] Error vinculando mensaje ${inboundId} a conversación ${conversationId}:`, error);
+    }
+}
+
+/**
+ * Transcripción completa de una conversación: mensajes entrantes y enviados por el bot
+ * ordenados por fecha
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<Array<{direction: string, at: Date}>>}
+ */
+async function getTranscript(conversationId) {
+    try {
+        const [inbound] = await db.query(
+            `SELECT
+                id,
+                whatsapp_message_id,
+                message_type,
+                body,
+                has_media,
+                media_mimetype,
+                media_filename,
+                media_size,
+                metadata,
+                received_at
+            FROM bot_inbound_messages
+            WHERE conversation_id = ?`,
+            [conversationId]
+        );
+
+        const [outbound] = await db.query(
+            `SELECT
+                ml.id,
+                ml.message_id,
+                ml.whatsapp_message_id,
+                mt.type_code,
+                m.content,
+                ml.delivery_status,
+                ml.error_message,
+                ml.sent_at,
+                ml.delivered_at,
+                ml.read_at
+            FROM bot_message_log ml
+            LEFT JOIN messages m ON ml.message_id = m.id
+            LEFT JOIN message_types mt ON m.message_type_id = mt.id
+            WHERE ml.conversation_id = ?`,
+            [conversationId]
+        );
+
+        const entries = [
+            ...inbound.map(row => ({
+                direction: 'IN',
+                at: row.received_at,
+                type: row.message_type,
+                body: row.body,
+                whatsappMessageId: row.whatsapp_message_id,
+                media: row.has_media
+                    ? { mimetype: row.media_mimetype, filename: row.media_filename, size: row.media_size }
+                    : null,
+                metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata
+            })),
+            ...outbound.map(row => ({
+                direction: 'OUT',
+                at: row.sent_at,
+                type: row.type_code,
+                body: row.content,
+                whatsappMessageId: row.whatsapp_message_id,
+                messageId: row.message_id,
+                deliveryStatus: row.delivery_status,
+                error: row.error_message,
+                deliveredAt: row.delivered_at,
+                readAt: row.read_at
+            }))
+        ];
+
+        return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    } catch (error) {
+        logger.error(`[INBOUND] Error armando transcripción de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    logInboundMessage,
+    linkConversation,
+    getTranscript
+};
@@ -0,0 +1,647 @@
+const db = require('../config/database2');
+const logger = require('../utils/logger');
+
+/**
+ * Encola la secuencia de mensajes de una conversación como jobs persistentes.
+ * La hora de envío de cada job acumula los delay_seconds de los mensajes anteriores.
+ * @param {object} data
+ * @param {number} data.conversationId - ID de la conversación
+ * @param {string} data.lineId - Línea que envía los mensajes
+ * @param {string} data.userPhone - Número del usuario
+ * @param {Array} data.messages - Mensajes de la campaña (en orden)
+ * @param {object} data.variables - Variables para reemplazar en el contenido
+ * @param {Date|null} data.startAt - Desde cuándo contar los delays (por defecto ahora; ej: próxima apertura)
+ * @returns {Promise<number>} - Cantidad de jobs encolados
+ */
+async function enqueueSequence({ conversationId, lineId, userPhone, messages, variables = {}, startAt = null }) {
+    try {
+        if (messages.length === 0) return 0;
+
+        // Los tramos (tras una respuesta, una rama de menú, una reanudación) continúan la numeración
+        const [orders] = await db.query(
+            `SELECT COALESCE(MAX(sequence_order), -1) + 1 as next_order
+            FROM bot_outbound_jobs
+            WHERE conversation_id = ?
+                AND job_type = 'SEQUENCE'`,
+            [conversationId]
+        );
+
+        const startOrder = Number(orders[0].next_order) || 0;
+
+        const start = startAt ? startAt.getTime() : Date.now();
+        let offsetSeconds = 0;
+
+        const rows = messages.map((msg, index) => {
+            offsetSeconds += msg.delay_seconds || 0;
+
+            return [
+                'SEQUENCE',
+                conversationId,
+                msg.id,
+                lineId,
+                userPhone,
+                startOrder + index,
+                msg.delay_seconds || 0,
+                JSON.stringify(variables),
+                new Date(start + offsetSeconds * 1000)
+            ];
+        });
+
+        await db.query(
+            `INSERT INTO bot_outbound_jobs
+            (job_type, conversation_id, message_id, line_id, user_phone, sequence_order, delay_seconds, variables, due_at)
+            VALUES ?`,
+            [rows]
+        );
+
+        logger.info(`[JOB-QUEUE] ${rows.length} jobs encolados para conversación ${conversationId} (línea ${lineId})`);
+
+        return rows.length;
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error encolando secuencia de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Programa los seguimientos de una conversación completada como jobs FOLLOWUP
+ * @param {object} data
+ * @param {number} data.conversationId - ID de la conversación
+ * @param {string} data.lineId - Línea que envía los seguimientos
+ * @param {string} data.userPhone - Número del usuario
+ * @param {Array<{followup: object, dueAt: Date}>} data.schedule - Seguimientos con su hora de envío (en orden)
+ * @param {object} data.variables - Variables para reemplazar en el contenido
+ * @returns {Promise<number>} - Cantidad de jobs encolados
+ */
+async function enqueueFollowups({ conversationId, lineId, userPhone, schedule, variables = {} }) {
+    try {
+        if (schedule.length === 0) return 0;
+
+        const rows = schedule.map(({ followup, dueAt }, index) => [
+            'FOLLOWUP',
+            conversationId,
+            followup.id,
+            lineId,
+            userPhone,
+            index,
+            JSON.stringify(variables),
+            dueAt
+        ]);
+
+        await db.query(
+            `INSERT INTO bot_outbound_jobs
+            (job_type, conversation_id, followup_id, line_id, user_phone, sequence_order, variables, due_at)
+            VALUES ?`,
+            [rows]
+        );
+
+        logger.info(`[JOB-QUEUE] ${rows.length} seguimientos programados para conversación ${conversationId} (línea ${lineId})`);
+
+        return rows.length;
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error programando seguimientos de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Programa el recordatorio de una visita como job REMINDER
+ * @param {object} data
+ * @param {number} data.conversationId - Conversación en la que se agendó
+ * @param {string} data.lineId - Línea que envía el recordatorio
+ * @param {string} data.userPhone - Número del usuario
+ * @param {number} data.bookingId - ID de la reserva
+ * @param {Date} data.dueAt - Hora de envío
+ * @param {object} data.variables - Variables para reemplazar en el contenido
+ * @returns {Promise<void>}
+ */
+async function enqueueReminder({ conversationId, lineId, userPhone, bookingId, dueAt, variables = {} }) {
+    try {
+        await db.query(
+            `INSERT INTO bot_outbound_jobs
+            (job_type, conversation_id, booking_id, line_id, user_phone, variables, due_at)
+            VALUES ('REMINDER', ?, ?, ?, ?, ?, ?)`,
+            [conversationId, bookingId, lineId, userPhone, JSON.stringify(variables), dueAt]
+        );
+
+        logger.info(`[JOB-QUEUE] Recordatorio de visita ${bookingId} programado para ${dueAt.toISOString()}`);
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error programando recordatorio de visita ${bookingId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Toma los jobs vencidos de las líneas indicadas y los marca como PROCESSING.
+ * Un job no se toma mientras haya uno anterior de la misma conversación sin terminar.
+ * @param {Array<string>} lineIds - Líneas conectadas
+ * @param {number} limit - Máximo de jobs a tomar
+ * @returns {Promise<Array>}
+ */
+async function claimDueJobs(lineIds, limit) {
+    try {
+        if (lineIds.length === 0) return [];
+
+        const [jobs] = await db.query(
+            `SELECT j.*
+            FROM bot_outbound_jobs j
+            WHERE j.status = 'PENDING'
+                AND j.due_at <= NOW()
+                AND j.line_id IN (?)
+                AND NOT EXISTS (
+                    SELECT 1 FROM bot_outbound_jobs prev
+                    WHERE prev.conversation_id = j.conversation_id
+                        AND prev.job_type = j.job_type
+                        AND prev.status IN ('PENDING', 'PROCESSING')
+                        AND prev.sequence_order < j.sequence_order
+                )
+            ORDER BY j.due_at ASC, j.id ASC
+            LIMIT ?`,
+            [lineIds, limit]
+        );
+
+        const claimed = [];
+
+        for (const job of jobs) {
+            const [result] = await db.query(
+                `UPDATE bot_outbound_jobs
+                SET status = 'PROCESSING',
+                    attempts = attempts + 1,
+                    locked_at = NOW()
+                WHERE id = ?
+                    AND status = 'PENDING'`,
+                [job.id]
+            );
+
+            if (result.affectedRows === 1) {
+                job.attempts += 1;
+                job.variables = typeof job.variables === 'string' ? JSON.parse(job.variables) : (job.variables || {});
+                claimed.push(job);
+            }
+        }
+
+        return claimed;
+
+    } catch (error) {
+        logger.error('[JOB-QUEUE] Error tomando jobs vencidos:', error);
+        throw error;
+    }
+}
+
+/**
+ * Marca un job como enviado y reprograma el siguiente de la conversación para
+ * respetar su delay desde este envío (evita ráfagas tras una caída).
+ * Un job cancelado mientras estaba en PROCESSING (ej: una baja) queda cancelado
+ * @param {object} job - Job enviado
+ * @returns {Promise<boolean>} - false si el job ya no estaba en PROCESSING
+ */
+async function markJobSent(job) {
+    try {
+        const [result] = await db.query(
+            `UPDATE bot_outbound_jobs
+            SET status = 'SENT',
+                sent_at = NOW(),
+                locked_at = NULL,
+                last_error = NULL
+            WHERE id = ?
+                AND status = 'PROCESSING'`,
+            [job.id]
+        );
+
+        if (result.affectedRows === 0) return false;
+
+        await db.query(
+            `UPDATE bot_outbound_jobs
+            SET due_at = GREATEST(due_at, NOW() + INTERVAL delay_seconds SECOND)
+            WHERE conversation_id = ?
+                AND job_type = ?
+                AND status = 'PENDING'
+                AND sequence_order > ?
+            ORDER BY sequence_order ASC
+            LIMIT 1`,
+            [job.conversation_id, job.job_type, job.sequence_order]
+        );
+
+        return true;
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error marcando job ${job.id} como enviado:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Devuelve un job a la cola para reintentarlo más tarde
+ * @param {object} job - Job a reintentar
+ * @param {string} errorMessage - Error del intento
+ * @param {number} delaySeconds - Espera antes del reintento
+ * @param {boolean} countAttempt - Si el intento cuenta para el máximo (false en errores de conexión)
+ * @returns {Promise<void>}
+ */
+async function scheduleRetry(job, errorMessage, delaySeconds, countAttempt = true) {
+    try {
+        await db.query(
+            `UPDATE bot_outbound_jobs
+            SET status = 'PENDING',
+                attempts = attempts - ?,
+                due_at = NOW() + INTERVAL ? SECOND,
+                locked_at = NULL,
+                last_error = ?
+            WHERE id = ?`,
+            [countAttempt ? 0 : 1, delaySeconds, errorMessage, job.id]
+        );
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error reprogramando job ${job.id}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Marca un job como fallido definitivamente
+ * @param {object} job - Job fallido
+ * @param {string} errorMessage - Error del último intento
+ * @returns {Promise<void>}
+ */
+async function markJobFailed(job, errorMessage) {
+    try {
+        await db.query(
+            `UPDATE bot_outbound_jobs
+            SET status = 'FAILED',
+                locked_at = NULL,
+                last_error = ?
+            WHERE id = ?`,
+            [errorMessage, job.id]
+        );
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error marcando job ${job.id} como fallido:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Cancela un job tomado de la cola (ej: el seguimiento ya no corresponde)
+ * @param {object} job - Job a cancelar
+ * @param {string} reason - Motivo
+ * @returns {Promise<void>}
+ */
+async function cancelJob(job, reason) {
+    try {
+        await db.query(
+            `UPDATE bot_outbound_jobs
+            SET status = 'CANCELLED',
+                locked_at = NULL,
+                last_error = ?
+            WHERE id = ?`,
+            [reason, job.id]
+        );
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error cancelando job ${job.id}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Estado actual de un job (ej: para saber si lo cancelaron mientras estaba en PROCESSING)
+ * @param {number} jobId - ID del job
+ * @returns {Promise<string|null>}
+ */
+async function getJobStatus(jobId) {
+    try {
+        const [rows] = await db.query(
+            `SELECT status
+            FROM bot_outbound_jobs
+            WHERE id = ?`,
+            [jobId]
+        );
+
+        return rows.length > 0 ? rows[0].status : null;
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error obteniendo estado del job ${jobId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Resumen de los jobs de secuencia de una conversación (los pasos saltados no cuentan)
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<{total: number, pending: number, sent: number, failed: number}>}
+ */
+async function getSequenceSummary(conversationId) {
+    try {
+        const [rows] = await db.query(
+            `SELECT
+                SUM(CASE WHEN status <> 'CANCELLED' THEN 1 ELSE 0 END) as total,
+                SUM(CASE WHEN status IN ('PENDING', 'PROCESSING') THEN 1 ELSE 0 END) as pending,
+                SUM(CASE WHEN status = 'SENT' THEN 1 ELSE 0 END) as sent,
+                SUM(CASE WHEN status = 'FAILED' THEN 1 ELSE 0 END) as failed
+            FROM bot_outbound_jobs
+            WHERE conversation_id = ?
+                AND job_type = 'SEQUENCE'`,
+            [conversationId]
+        );
+
+        return {
+            total: Number(rows[0].total) || 0,
+            pending: Number(rows[0].pending) || 0,
+            sent: Number(rows[0].sent) || 0,
+            failed: Number(rows[0].failed) || 0
+        };
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error obteniendo resumen de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Verifica si una conversación ya tiene jobs de un tipo (en cualquier estado)
+ * @param {number} conversationId - ID de la conversación
+ * @param {string} jobType - Tipo de job
+ * @returns {Promise<boolean>}
+ */
+async function hasJobs(conversationId, jobType) {
+    try {
+        const [rows] = await db.query(
+            `SELECT 1
+            FROM bot_outbound_jobs
+            WHERE conversation_id = ?
+                AND job_type = ?
+            LIMIT 1`,
+            [conversationId, jobType]
+        );
+
+        return rows.length > 0;
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error verificando jobs ${jobType} de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Cancela los jobs pendientes de una conversación
+ * @param {number} conversationId - ID de la conversación
+ * @param {string|null} jobType - Solo los de este tipo (ej: SEQUENCE); null = todos
+ * @returns {Promise<number>} - Cantidad de jobs cancelados
+ */
+async function cancelConversationJobs(conversationId, jobType = null) {
+    try {
+        let query = `UPDATE bot_outbound_jobs
+            SET status = 'CANCELLED',
+                locked_at = NULL
+            WHERE conversation_id = ?
+                AND status = 'PENDING'`;
+        const params = [conversationId];
+
+        if (jobType) {
+            query += ` AND job_type = ?`;
+            params.push(jobType);
+        }
+
+        const [result] = await db.query(query, params);
+
+        if (result.affectedRows > 0) {
+            logger.info(`[JOB-QUEUE] ${result.affectedRows} jobs cancelados de conversación ${conversationId}`);
+        }
+
+        return result.affectedRows;
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error cancelando jobs de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Cancela los jobs pendientes de un tipo para un usuario (todas sus conversaciones)
+ * @param {string} userPhone - Número del usuario
+ * @param {string} jobType - Tipo de job (ej: FOLLOWUP)
+ * @param {string} reason - Motivo
+ * @returns {Promise<number>} - Cantidad de jobs cancelados
+ */
+async function cancelUserJobs(userPhone, jobType, reason) {
+    try {
+        const [result] = await db.query(
+            `UPDATE bot_outbound_jobs
+            SET status = 'CANCELLED',
+                locked_at = NULL,
+                last_error = ?
+            WHERE user_phone = ?
+                AND job_type = ?
+                AND status = 'PENDING'`,
+            [reason, userPhone, jobType]
+        );
+
+        if (result.affectedRows > 0) {
+            logger.info(`[JOB-QUEUE] ${result.affectedRows} jobs ${jobType} cancelados de ${userPhone}: ${reason}`);
+        }
+
+        return result.affectedRows;
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error cancelando jobs ${jobType} de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Cancela los recordatorios pendientes de una visita
+ * @param {number} bookingId - ID de la reserva
+ * @param {string} reason - Motivo
+ * @returns {Promise<number>}
+ */
+async function cancelBookingJobs(bookingId, reason) {
+    try {
+        const [result] = await db.query(
+            `UPDATE bot_outbound_jobs
+            SET status = 'CANCELLED',
+                locked_at = NULL,
+                last_error = ?
+            WHERE booking_id = ?
+                AND status = 'PENDING'`,
+            [reason, bookingId]
+        );
+
+        return result.affectedRows;
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error cancelando recordatorios de visita ${bookingId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Línea que envió los últimos jobs de una conversación
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<string|null>}
+ */
+async function getConversationLineId(conversationId) {
+    try {
+        const [rows] = await db.query(
+            `SELECT line_id
+            FROM bot_outbound_jobs
+            WHERE conversation_id = ?
+            ORDER BY id DESC
+            LIMIT 1`,
+            [conversationId]
+        );
+
+        return rows.length > 0 ? rows[0].line_id : null;
+
+    } catch (error) {
+        logger.error(`[JOB-QUEUE] Error obteniendo línea de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Cuenta los jobs pendientes que vencen antes de una fecha en las líneas indicadas
+ * @param {Array<string>} lineIds - Líneas conectadas
+ * @param {Date} before - Fecha límite
+ * @returns {Promise<number>}
+ */
+async function countDueBefore(lineIds, before) {
+    try {
+        if (lineIds.length === 0) return 0;
+
+        const [rows] = await db.query(
+            `SELECT COUNT(*) as total
+            FROM bot_outbound_jobs
+            WHERE status IN ('PENDING', 'PROCESSING')
+                AND due_at <= ?
+                AND line_id IN (?)`,
+            [before, lineIds]
+        );
+
+        return Number(rows[0].total) || 0;
+
+    } catch (error) {
+        logger.error('[JOB-QUEUE] Error contando jobs pendientes:', error);
+        throw error;
+    }
+}
+
+/**
+ * Devuelve a la cola los jobs que quedaron en PROCESSING (ej: caída durante un envío)
+ * @param {number} staleMinutes - Antigüedad mínima del bloqueo
+ * @returns {Promise<number>}
+ */
+async function releaseStaleJobs(staleMinutes) {
+    try {
+        const [result] = await db.query(
+            `UPDATE bot_outbound_jobs
+            SET status = 'PENDING',
+                locked_at = NULL
+            WHERE status = 'PROCESSING'
+                AND locked_at < NOW() - INTERVAL ? MINUTE`,
+            [staleMinutes]
+        );
+
+        if (result.affectedRows > 0) {
+            logger.warn(`[JOB-QUEUE] ${result.affectedRows} jobs bloqueados devueltos a la cola`);
+        }
+
+        return result.affectedRows;
+
+    } catch (error) {
+        logger.error('[JOB-QUEUE] Error liberando jobs bloqueados:', error);
+        throw error;
+    }
+}
+
+/**
+ * Marca como INTERRUPTED las conversaciones en curso que aún tienen jobs pendientes (apagado)
+ * @returns {Promise<number>}
+ */
+async function interruptPendingConversations() {
+    try {
+        const [result] = await db.query(
+            `UPDATE bot_conversations bc
+            SET bc.status = 'INTERRUPTED',
+                bc.updated_at = NOW(),
+                bc.session_metadata = JSON_SET(
+                    COALESCE(bc.session_metadata, '{}'),
+                    '$.interrupted_at', DATE_FORMAT(NOW(), '%Y-%m-%d %H:%i:%s'),
+                    '$.interruption_reason', 'Apagado del servidor'
+                )
+            WHERE bc.status IN ('INITIATED', 'IN_PROGRESS')
+                AND EXISTS (
+                    SELECT 1 FROM bot_outbound_jobs j
+                    WHERE j.conversation_id = bc.id
+                        AND j.job_type = 'SEQUENCE'
+                        AND j.status IN ('PENDING', 'PROCESSING')
+                )`
+        );
+
+        return result.affectedRows;
+
+    } catch (error) {
+        logger.error('[JOB-QUEUE] Error marcando conversaciones interrumpidas:', error);
+        throw error;
+    }
+}
+
+/**
+ * Reanuda las conversaciones INTERRUPTED que tienen jobs pendientes: vuelven a IN_PROGRESS
+ * y el dispatcher continúa sus jobs donde quedaron
+ * @returns {Promise<number>}
+ */
+async function resumeInterruptedConversations() {
+    try {
+        const [result] = await db.query(
+            `UPDATE bot_conversations bc
+            SET bc.status = 'IN_PROGRESS',
+                bc.updated_at = NOW(),
+                bc.session_metadata = JSON_SET(
+                    COALESCE(bc.session_metadata, '{}'),
+                    '$.resumed_at', DATE_FORMAT(NOW(), '%Y-%m-%d %H:%i:%s')
+                )
+            WHERE bc.status = 'INTERRUPTED'
+                AND EXISTS (
+                    SELECT 1 FROM bot_outbound_jobs j
+                    WHERE j.conversation_id = bc.id
+                        AND j.job_type = 'SEQUENCE'
+                        AND j.status = 'PENDING'
+                )`
+        );
+
+        if (result.affectedRows > 0) {
+            logger.info(`[JOB-QUEUE] ${result.affectedRows} conversaciones interrumpidas reanudadas`);
+        }
+
+        return result.affectedRows;
+
+    } catch (error) {
+        logger.error('[JOB-QUEUE] Error reanudando conversaciones interrumpidas:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    enqueueSequence,
+    enqueueFollowups,
+    enqueueReminder,
+    claimDueJobs,
+    markJobSent,
+    scheduleRetry,
+    markJobFailed,
+    cancelJob,
+    getJobStatus,
+    getSequenceSummary,
+    hasJobs,
+    cancelConversationJobs,
+    cancelUserJobs,
+    cancelBookingJobs,
+    getConversationLineId,
+    countDueBefore,
+    releaseStaleJobs,
+    interruptPendingConversations,
+    resumeInterruptedConversations
+};
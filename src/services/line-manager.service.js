@@ -0,0 +1,107 @@
+const logger = require('../utils/logger');
+const WhatsAppService = require('./whatsapp.service');
+
+// Mismo formato que acepta LocalAuth para el clientId
+const LINE_ID_REGEX = /^[-_\w]+$/;
+
+/**
+ * Administra las líneas de WhatsApp (un cliente por número de ventas)
+ */
+class LineManager {
+    constructor() {
+        this.lines = new Map();
+    }
+
+    /**
+     * Verifica si un ID de línea es válido
+     * @param {string} lineId - ID de la línea
+     * @returns {boolean}
+     */
+    isValidLineId(lineId) {
+        return typeof lineId === 'string' && LINE_ID_REGEX.test(lineId);
+    }
+
+    /**
+     * Obtiene una línea existente
+     * @param {string} lineId - ID de la línea
+     * @returns {WhatsAppService|null}
+     */
+    getLine(lineId) {
+        return this.lines.get(lineId) || null;
+    }
+
+    /**
+     * Obtiene una línea o la crea si no existe
+     * @param {string} lineId - ID de la línea
+     * @param {object} options - Opciones de la línea (campaignIds)
+     * @returns {WhatsAppService}
+     */
+    getOrCreateLine(lineId, options = {}) {
+        if (!this.isValidLineId(lineId)) {
+            throw new Error(`ID de línea inválido: ${lineId}`);
+        }
+
+        let line = this.lines.get(lineId);
+
+        if (!line) {
+            line = new WhatsAppService(lineId, options);
+            this.lines.set(lineId, line);
+            logger.info(`[LINES] Línea registrada: ${lineId}`);
+        } else if (options.campaignIds !== undefined) {
+            line.setCampaigns(options.campaignIds);
+        }
+
+        return line;
+    }
+
+    /**
+     * Lista el estado de todas las líneas registradas
+     * @returns {Array<object>}
+     */
+    listLines() {
+        return Array.from(this.lines.values()).map(line => line.getStatus());
+    }
+
+    /**
+     * Cierra la sesión de una línea (también borra la sesión guardada) y la quita del registro.
+     * Funciona aunque la línea no esté registrada (ej: sesión guardada de antes de un reinicio)
+     * @param {string} lineId - ID de la línea
+     * @returns {Promise<void>}
+     */
+    async logoutLine(lineId) {
+        if (!this.isValidLineId(lineId)) {
+            throw new Error(`ID de línea inválido: ${lineId}`);
+        }
+
+        const line = this.lines.get(lineId) || new WhatsAppService(lineId);
+
+        await line.logout();
+        this.lines.delete(lineId);
+        logger.info(`[LINES] Sesión de la línea ${lineId} cerrada`);
+    }
+
+    /**
+     * Pone todas las líneas en modo drenado (ver WhatsAppService.drain)
+     */
+    drainAll() {
+        for (const line of this.lines.values()) {
+            line.drain();
+        }
+    }
+
+    /**
+     * Destruye los clientes de todas las líneas
+     * @returns {Promise<void>}
+     */
+    async destroyAll() {
+        for (const line of this.lines.values()) {
+            try {
+                await line.destroy();
+            } catch (error) {
+                logger.error(`[LINES] Error destruyendo línea ${line.lineId}:`, error);
+            }
+        }
+    }
+}
+
+module.exports = new LineManager();
@@ -3,10 +3,14 @@ const config = require('../config/config2');
 const logger = require('../utils/logger');
 const { sleep, replaceVariables } = require('../utils/helpers');
 const axios = require('axios');
-const { MessageMedia } = require('whatsapp-web.js');
+const { MessageMedia, Location } = require('whatsapp-web.js');
+const qualificationService = require('./qualification.service');
+const visitService = require('./visit.service');
+const advisorService = require('./advisor.service');
 
 /**
- * Obtiene todos los mensajes de una campaña ordenados
+ * Obtiene los mensajes de la secuencia principal de una campaña ordenados
+ * (los mensajes de ramas de menú se obtienen con getBranchMessages)
  * @param {number} campaignId - ID de la campaña
  * @returns {Promise<Array>}
  */
@@ -21,10 +25,12 @@ async function getCampaignMessages(campaignId) {
                 m.content,
                 m.sort_order,
                 m.delay_seconds,
+                m.branch_id,
                 m.is_active
             FROM messages m
             INNER JOIN message_types mt ON m.message_type_id = mt.id
             WHERE m.campaign_id = ?
+                AND m.branch_id IS NULL
                 AND m.is_active = TRUE
                 AND m.deleted_at IS NULL
             ORDER BY m.sort_order ASC`,
@@ -72,6 +78,62 @@ async function getMessageMedia(messageId) {
     }
 }
 
+/**
+ * Obtiene la ubicación de un mensaje LOCATION
+ * @param {number} messageId - ID del mensaje
+ * @returns {Promise<object|null>}
+ */
+async function getMessageLocation(messageId) {
+    try {
+        const [locations] = await db.query(
+            `SELECT 
+                id,
+                message_id,
+                latitude,
+                longitude,
+                name,
+                address
+            FROM message_locations
+            WHERE message_id = ?
+                AND deleted_at IS NULL`,
+            [messageId]
+        );
+        
+        return locations[0] || null;
+        
+    } catch (error) {
+        logger.error(`[MESSAGE] Error obteniendo ubicación del mensaje ${messageId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene el asesor configurado para un mensaje CONTACT
+ * @param {number} messageId - ID del mensaje
+ * @returns {Promise<object|null>}
+ */
+async function getMessageContact(messageId) {
+    try {
+        const [contacts] = await db.query(
+            `SELECT 
+                id,
+                message_id,
+                advisor_id,
+                use_conversation_advisor
+            FROM message_contacts
+            WHERE message_id = ?
+                AND deleted_at IS NULL`,
+            [messageId]
+        );
+        
+        return contacts[0] || null;
+        
+    } catch (error) {
+        logger.error(`[MESSAGE] Error obteniendo contacto del mensaje ${messageId}:`, error);
+        throw error;
+    }
+}
+
 /**
  * Descarga un archivo desde el frontend y lo convierte en MessageMedia
  * @param {string} fileUrl - URL completa del archivo
@@ -176,105 +238,290 @@ async function logMessageFailed(conversationId, messageId, errorMessage) {
 }
 
 /**
- * Envía una secuencia completa de mensajes al usuario
- * @param {object} client - Cliente de WhatsApp
- * @param {string} userPhone - Número del usuario
+ * Obtiene los mensajes de una conversación que ya tienen registro en el log
+ * (enviados o fallidos definitivamente)
  * @param {number} conversationId - ID de la conversación
- * @param {Array} messages - Array de mensajes a enviar
- * @param {object} variables - Variables para reemplazar en el contenido (ej: {nombre: 'Juan'})
- * @returns {Promise<object>}
+ * @returns {Promise<{sent: Set<number>, failed: Set<number>}>}
  */
-async function sendSequentialMessages(client, userPhone, conversationId, messages, variables = {}) {
-    let successCount = 0;
-    let failCount = 0;
-    
+async function getLoggedMessageIds(conversationId) {
     try {
-        logger.info(`[MESSAGE] Iniciando envío de ${messages.length} mensajes a ${userPhone}`);
+        const [rows] = await db.query(
+            `SELECT message_id, delivery_status
+            FROM bot_message_log
+            WHERE conversation_id = ?`,
+            [conversationId]
+        );
         
-        for (let i = 0; i < messages.length; i++) {
-            const msg = messages[i];
-            
-            try {
-                // Esperar el delay antes de enviar
-                if (msg.delay_seconds > 0) {
-                    logger.debug(`[MESSAGE] Esperando ${msg.delay_seconds}s antes del mensaje ${i + 1}`);
-                    await sleep(msg.delay_seconds * 1000);
-                }
-                
-                logger.info(`[MESSAGE] Enviando mensaje ${i + 1}/${messages.length} - Tipo: ${msg.type_code} - Conversación: ${conversationId}`);
-                
-                let whatsappMessageId = null;
-                
-                // Procesar según el tipo de mensaje
-                switch (msg.type_code) {
-                    case 'TEXT':
-                        whatsappMessageId = await sendTextMessage(client, userPhone, msg, variables);
-                        break;
-                        
-                    case 'IMAGE':
-                        whatsappMessageId = await sendImageMessage(client, userPhone, msg, variables);
-                        break;
-                        
-                    case 'AUDIO':
-                        whatsappMessageId = await sendAudioMessage(client, userPhone, msg);
-                        break;
-                        
-                    case 'DOCUMENT':
-                        whatsappMessageId = await sendDocumentMessage(client, userPhone, msg, variables);
-                        break;
-                        
-                    case 'GALLERY':
-                        whatsappMessageId = await sendGalleryMessage(client, userPhone, msg);
-                        break;
-                        
-                    default:
-                        logger.warn(`[MESSAGE] Tipo de mensaje no soportado: ${msg.type_code}`);
-                        continue;
-                }
-                
-                // Registrar mensaje enviado
-                await logMessageSent(conversationId, msg.id, whatsappMessageId);
-                
-                // Incrementar contador en conversación
-                const conversationService = require('./conversation.service');
-                await conversationService.incrementMessagesSent(conversationId);
-                
-                successCount++;
-                logger.info(`[MESSAGE] ✅ Mensaje ${i + 1}/${messages.length} enviado exitosamente`);
-                
-            } catch (error) {
-                logger.error(`[MESSAGE] ❌ Error enviando mensaje ${msg.id}:`, error.message);
-                
-                // Registrar fallo
-                await logMessageFailed(conversationId, msg.id, error.message);
-                failCount++;
-                
-                // Si es un error crítico, detener el envío
-                if (error.message.includes('Connection closed') || error.message.includes('Session closed')) {
-                    logger.error('[MESSAGE] Error crítico de conexión, deteniendo envío');
-                    throw error;
-                }
-                
-                // Continuar con el siguiente mensaje
-                continue;
+        const sent = new Set();
+        const failed = new Set();
+        
+        for (const row of rows) {
+            if (row.delivery_status === 'FAILED') {
+                failed.add(row.message_id);
+            } else {
+                sent.add(row.message_id);
             }
         }
         
-        logger.info(`[MESSAGE] Envío finalizado: ${successCount} exitosos, ${failCount} fallidos`);
+        // Un mensaje que falló y luego se envió cuenta como enviado
+        for (const messageId of sent) {
+            failed.delete(messageId);
+        }
+        
+        return { sent, failed };
+        
+    } catch (error) {
+        logger.error(`[MESSAGE] Error obteniendo log de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Estados de entrega según el ack de whatsapp-web.js (2 = dispositivo, 3 = leído, 4 = reproducido)
+ */
+const ACK_STATUSES = {
+    2: 'DELIVERED',
+    3: 'READ',
+    4: 'PLAYED'
+};
+
+/**
+ * Actualiza el estado de entrega de un mensaje enviado a partir del evento message_ack
+ * Solo avanza el estado (SENT → DELIVERED → READ → PLAYED), nunca retrocede
+ * @param {string} whatsappMessageId - ID del mensaje en WhatsApp
+ * @param {number} ack - Valor de ack recibido
+ * @returns {Promise<void>}
+ */
+async function updateDeliveryStatus(whatsappMessageId, ack) {
+    const status = ACK_STATUSES[ack];
+    
+    if (!status || !whatsappMessageId) return;
+    
+    try {
+        const [result] = await db.query(
+            `UPDATE bot_message_log 
+            SET delivery_status = ?,
+                delivered_at = COALESCE(delivered_at, NOW()),
+                read_at = CASE WHEN ? IN ('READ', 'PLAYED') THEN COALESCE(read_at, NOW()) ELSE read_at END,
+                played_at = CASE WHEN ? = 'PLAYED' THEN COALESCE(played_at, NOW()) ELSE played_at END
+            WHERE whatsapp_message_id = ?
+                AND FIELD(delivery_status, 'SENT', 'DELIVERED', 'READ', 'PLAYED') > 0
+                AND FIELD(delivery_status, 'SENT', 'DELIVERED', 'READ', 'PLAYED') < FIELD(?, 'SENT', 'DELIVERED', 'READ', 'PLAYED')`,
+            [status, status, status, whatsappMessageId, status]
+        );
+        
+        if (result.affectedRows > 0) {
+            logger.debug(`[MESSAGE] Estado de entrega actualizado: ${whatsappMessageId} -> ${status}`);
+        }
+        
+    } catch (error) {
+        logger.error(`[MESSAGE] Error actualizando estado de entrega de ${whatsappMessageId}:`, error);
+    }
+}
+
+/**
+ * Obtiene un mensaje de campaña por su ID (con su tipo)
+ * @param {number} messageId - ID del mensaje
+ * @returns {Promise<object|null>}
+ */
+async function getMessageById(messageId) {
+    try {
+        const [messages] = await db.query(
+            `SELECT 
+                m.id,
+                m.campaign_id,
+                m.message_type_id,
+                mt.type_code,
+                m.content,
+                m.sort_order,
+                m.delay_seconds,
+                m.branch_id,
+                m.is_active
+            FROM messages m
+            INNER JOIN message_types mt ON m.message_type_id = mt.id
+            WHERE m.id = ?
+                AND m.deleted_at IS NULL`,
+            [messageId]
+        );
         
-        return {
-            success: true,
-            total: messages.length,
-            sent: successCount,
-            failed: failCount
-        };
+        return messages[0] || null;
         
     } catch (error) {
-        logger.error('[MESSAGE] Error crítico en sendSequentialMessages:', error);
+        logger.error(`[MESSAGE] Error obteniendo mensaje ${messageId}:`, error);
         throw error;
     }
 }
 
+/**
+ * Obtiene las opciones (ramas) de un mensaje tipo MENU ordenadas por número
+ * @param {number} menuMessageId - ID del mensaje MENU
+ * @returns {Promise<Array>}
+ */
+async function getMenuBranches(menuMessageId) {
+    try {
+        const [branches] = await db.query(
+            `SELECT 
+                id,
+                menu_message_id,
+                option_number,
+                label,
+                synonyms,
+                action
+            FROM message_branches
+            WHERE menu_message_id = ?
+                AND deleted_at IS NULL
+            ORDER BY option_number ASC`,
+            [menuMessageId]
+        );
+        
+        return branches.map(branch => ({
+            ...branch,
+            synonyms: typeof branch.synonyms === 'string' ? JSON.parse(branch.synonyms) : (branch.synonyms || [])
+        }));
+        
+    } catch (error) {
+        logger.error(`[MESSAGE] Error obteniendo opciones del menú ${menuMessageId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene una rama de menú
+ * @param {number} branchId - ID de la rama
+ * @returns {Promise<object|null>}
+ */
+async function getBranchById(branchId) {
+    try {
+        const [branches] = await db.query(
+            `SELECT id, menu_message_id, option_number, label, action
+            FROM message_branches
+            WHERE id = ?`,
+            [branchId]
+        );
+        
+        return branches[0] || null;
+        
+    } catch (error) {
+        logger.error(`[MESSAGE] Error obteniendo rama ${branchId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene los mensajes de una rama de menú ordenados
+ * @param {number} branchId - ID de la rama
+ * @returns {Promise<Array>}
+ */
+async function getBranchMessages(branchId) {
+    try {
+        const [messages] = await db.query(
+            `SELECT 
+                m.id,
+                m.campaign_id,
+                m.message_type_id,
+                mt.type_code,
+                m.content,
+                m.sort_order,
+                m.delay_seconds,
+                m.branch_id,
+                m.is_active
+            FROM messages m
+            INNER JOIN message_types mt ON m.message_type_id = mt.id
+            WHERE m.branch_id = ?
+                AND m.is_active = TRUE
+                AND m.deleted_at IS NULL
+            ORDER BY m.sort_order ASC`,
+            [branchId]
+        );
+        
+        return messages;
+        
+    } catch (error) {
+        logger.error(`[MESSAGE] Error obteniendo mensajes de la rama ${branchId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Texto de un menú: el contenido del mensaje y sus opciones numeradas
+ * @param {string} content - Contenido con las variables ya reemplazadas
+ * @param {Array} branches - Opciones del menú
+ * @returns {string}
+ */
+function formatMenu(content, branches) {
+    const options = branches.map(branch => `${branch.option_number}. ${branch.label}`).join('\n');
+    return `${content}\n\n${options}`;
+}
+
+/**
+ * Tipos de mensaje que sabe enviar sendMessage
+ */
+const SUPPORTED_TYPES = ['TEXT', 'IMAGE', 'AUDIO', 'DOCUMENT', 'GALLERY', 'LOCATION', 'CONTACT', 'QUESTION', 'MENU', 'VISIT'];
+
+/**
+ * Indica si un tipo de mensaje se puede enviar
+ * @param {string} typeCode - type_code del mensaje
+ * @returns {boolean}
+ */
+function isSupportedType(typeCode) {
+    return SUPPORTED_TYPES.includes(typeCode);
+}
+
+/**
+ * Envía un mensaje de campaña según su tipo
+ * @param {object} client - Cliente de WhatsApp
+ * @param {string} userPhone - Número del usuario
+ * @param {object} msg - Mensaje de campaña (con type_code)
+ * @param {object} variables - Variables para reemplazar en el contenido (ej: {nombre: 'Juan'})
+ * @param {object} context - Datos del envío que necesitan algunos tipos (ej: {conversationId} para VISIT y CONTACT)
+ * @returns {Promise<string>} - ID del mensaje en WhatsApp
+ */
+async function sendMessage(client, userPhone, msg, variables = {}, context = {}) {
+    switch (msg.type_code) {
+        case 'TEXT':
+            return sendTextMessage(client, userPhone, msg, variables);
+            
+        case 'IMAGE':
+            return sendImageMessage(client, userPhone, msg, variables);
+            
+        case 'AUDIO':
+            return sendAudioMessage(client, userPhone, msg);
+            
+        case 'DOCUMENT':
+            return sendDocumentMessage(client, userPhone, msg, variables);
+            
+        case 'GALLERY':
+            return sendGalleryMessage(client, userPhone, msg);
+            
+        case 'LOCATION':
+            return sendLocationMessage(client, userPhone, msg, variables);
+            
+        case 'CONTACT':
+            return sendContactMessage(client, userPhone, msg, context);
+            
+        case 'QUESTION':
+            return sendQuestionMessage(client, userPhone, msg, variables);
+            
+        case 'MENU':
+            return sendMenuMessage(client, userPhone, msg, variables);
+            
+        case 'VISIT':
+            return sendVisitMessage(client, userPhone, msg, variables, context);
+            
+        default:
+            throw new Error(`Tipo de mensaje no soportado: ${msg.type_code}`);
+    }
+}
+
+/**
+ * Indica si un error de envío es de conexión (el cliente se cayó) y no del mensaje
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isConnectionError(error) {
+    return error.message.includes('Connection closed') || error.message.includes('Session closed');
+}
+
 /**
  * Envía un mensaje de texto
  */
@@ -284,11 +531,80 @@ async function sendTextMessage(client, userPhone, message, variables) {
     return sentMsg.id._serialized;
 }
 
+/**
+ * Envía una pregunta de calificación (con sus opciones si las tiene)
+ */
+async function sendQuestionMessage(client, userPhone, message, variables) {
+    const question = await qualificationService.getQuestion(message.id);
+
+    if (!question) {
+        throw new Error(`La pregunta ${message.id} no tiene configuración en message_questions`);
+    }
+
+    const content = qualificationService.formatQuestion(question, replaceVariables(message.content, variables));
+    const sentMsg = await client.sendMessage(userPhone, content);
+    return sentMsg.id._serialized;
+}
+
+/**
+ * Envía los próximos horarios de visita del proyecto de la campaña y los deja
+ * registrados como oferta pendiente de elección
+ */
+async function sendVisitMessage(client, userPhone, message, variables, context) {
+    const project = await visitService.getCampaignProject(message.campaign_id);
+
+    if (!project) {
+        throw new Error(`La campaña ${message.campaign_id} no tiene un proyecto para agendar visitas`);
+    }
+
+    const slots = await visitService.getAvailableSlots(project.id);
+
+    // Sin horarios la oferta queda vacía: la respuesta del lead solo continúa el flujo
+    const content = slots.length > 0
+        ? `${replaceVariables(message.content, { ...variables, proyecto: project.name })}\n\n${visitService.formatSlotList(slots)}\n\n_Responde con el número del horario que prefieras_`
+        : config.visits.noSlotsMessage;
+
+    // La oferta se registra antes de enviar: si falla, el job se reintenta sin que el lead reciba la lista
+    const offerId = await visitService.createOffer({
+        userPhone,
+        conversationId: context.conversationId || null,
+        messageId: message.id,
+        projectId: project.id,
+        slots
+    });
+
+    try {
+        const sentMsg = await client.sendMessage(userPhone, content);
+        return sentMsg.id._serialized;
+
+    } catch (error) {
+        // Sin la lista enviada, un número del lead no debe tomarse como elección de horario
+        await visitService.updateOffer(offerId, { status: 'EXPIRED' }).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Envía un menú con sus opciones numeradas
+ */
+async function sendMenuMessage(client, userPhone, message, variables) {
+    const branches = await getMenuBranches(message.id);
+
+    if (branches.length === 0) {
+        throw new Error(`El menú ${message.id} no tiene opciones en message_branches`);
+    }
+
+    const content = formatMenu(replaceVariables(message.content, variables), branches);
+    const sentMsg = await client.sendMessage(userPhone, content);
+    return sentMsg.id._serialized;
+}
+
 /**
  * Envía un mensaje con imagen
  */
-async function sendImageMessage(client, userPhone, message, variables) {
-    const mediaFiles = await getMessageMedia(message.id);
+async function sendImageMessage(client, userPhone, message, variables = {}) {
+    // Los envíos que no son de campaña (ej: tarjetas del catálogo) traen su imagen en message.media
+    const mediaFiles = message.media || await getMessageMedia(message.id);
     
     if (mediaFiles.length === 0) {
         throw new Error('No se encontró imagen para este mensaje');
@@ -322,6 +638,58 @@ async function sendAudioMessage(client, userPhone, message) {
     return sentMsg.id._serialized;
 }
 
+/**
+ * Envía una ubicación nativa (pin de mapa con nombre y dirección)
+ */
+async function sendLocationMessage(client, userPhone, message, variables) {
+    const location = await getMessageLocation(message.id);
+    
+    if (!location) {
+        throw new Error('No se encontró ubicación para este mensaje');
+    }
+    
+    const pin = new Location(Number(location.latitude), Number(location.longitude), {
+        name: location.name ? replaceVariables(location.name, variables) : undefined,
+        address: location.address ? replaceVariables(location.address, variables) : undefined
+    });
+    
+    logger.info(`[MESSAGE] Enviando ubicación ${location.latitude},${location.longitude}${location.name ? ` (${location.name})` : ''}`);
+    
+    const sentMsg = await client.sendMessage(userPhone, pin);
+    return sentMsg.id._serialized;
+}
+
+/**
+ * Envía la tarjeta de contacto (vCard) de un asesor: el asignado a la conversación o,
+ * si no tiene, el fijo del mensaje
+ */
+async function sendContactMessage(client, userPhone, message, context) {
+    const contact = await getMessageContact(message.id);
+    
+    if (!contact) {
+        throw new Error('No se encontró contacto para este mensaje');
+    }
+    
+    let advisor = null;
+    
+    if (contact.use_conversation_advisor && context.conversationId) {
+        advisor = await advisorService.getConversationAdvisor(context.conversationId);
+    }
+    
+    if (!advisor && contact.advisor_id) {
+        advisor = await advisorService.getAdvisorById(contact.advisor_id);
+    }
+    
+    if (!advisor) {
+        throw new Error('La conversación no tiene asesor asignado ni el mensaje un asesor fijo');
+    }
+    
+    logger.info(`[MESSAGE] Enviando contacto del asesor ${advisor.name}`);
+    
+    const sentMsg = await client.sendMessage(userPhone, advisorService.buildVCard(advisor));
+    return sentMsg.id._serialized;
+}
+
 /**
  * Envía un documento/PDF
  */
@@ -396,8 +764,20 @@ async function sendGalleryMessage(client, userPhone, message) {
 module.exports = {
     getCampaignMessages,
     getMessageMedia,
-    sendSequentialMessages,
+    getMessageLocation,
+    getMessageContact,
+    getMessageById,
+    getMenuBranches,
+    getBranchById,
+    getBranchMessages,
+    formatMenu,
+    isSupportedType,
+    sendMessage,
+    sendImageMessage,
+    isConnectionError,
     logMessageSent,
     logMessageFailed,
+    getLoggedMessageIds,
+    updateDeliveryStatus,
     buildMediaUrl
 };
\ No newline at end of file
@@ -0,0 +1,130 @@
+const db = require('../config/database2');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { normalizeText, matchPhrase } = require('../utils/keyword-matcher');
+const conversationService = require('./conversation.service');
+const jobQueue = require('./job-queue.service');
+
+/**
+ * Detecta si el mensaje es un pedido de baja (opt-out) o de alta (opt-in)
+ * @param {string} messageText - Texto del mensaje recibido
+ * @returns {{command: string, phrase: string}|null} - command: OPT_OUT | OPT_IN
+ */
+function detectCommand(messageText) {
+    const normalizedMessage = normalizeText(messageText);
+
+    if (!normalizedMessage) return null;
+
+    const optOutPhrase = matchPhrase(normalizedMessage, config.optOut.phrases);
+    if (optOutPhrase) {
+        return { command: 'OPT_OUT', phrase: optOutPhrase };
+    }
+
+    const optInPhrase = matchPhrase(normalizedMessage, config.optOut.optInPhrases);
+    if (optInPhrase) {
+        return { command: 'OPT_IN', phrase: optInPhrase };
+    }
+
+    return null;
+}
+
+/**
+ * Da de baja a un usuario: cancela sus conversaciones abiertas (y sus envíos pendientes)
+ * y lo agrega a blocked_numbers
+ * @param {string} userPhone - Número del usuario
+ * @param {string} messageText - Mensaje con el que pidió la baja
+ * @returns {Promise<{cancelledConversations: Array<number>}>}
+ */
+async function optOut(userPhone, messageText) {
+    try {
+        const reason = `Opt-out: "${messageText.trim().substring(0, 200)}"`;
+
+        const cancelledConversations = await conversationService.cancelOpenConversations(userPhone, reason);
+
+        for (const conversationId of cancelledConversations) {
+            await jobQueue.cancelConversationJobs(conversationId);
+        }
+
+        const [blockedRows] = await db.query(
+            'SELECT phone_number FROM blocked_numbers WHERE phone_number = ?',
+            [userPhone]
+        );
+
+        if (blockedRows.length > 0) {
+            await db.query(
+                `UPDATE blocked_numbers
+                SET reason = ?,
+                    blocked_at = NOW()
+                WHERE phone_number = ?`,
+                [reason, userPhone]
+            );
+        } else {
+            await db.query(
+                `INSERT INTO blocked_numbers (phone_number, reason, blocked_by, blocked_at)
+                VALUES (?, ?, 'OPT_OUT', NOW())`,
+                [userPhone, reason]
+            );
+        }
+
+        logger.info(`[OPT-OUT] 🚫 ${userPhone} dado de baja (${cancelledConversations.length} conversaciones canceladas)`);
+
+        return { cancelledConversations };
+
+    } catch (error) {
+        logger.error(`[OPT-OUT] Error dando de baja a ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Revierte una baja pedida por el usuario. Los bloqueos manuales no se tocan
+ * @param {string} userPhone - Número del usuario
+ * @returns {Promise<boolean>} - true si estaba dado de baja por opt-out
+ */
+async function optIn(userPhone) {
+    try {
+        const [result] = await db.query(
+            `DELETE FROM blocked_numbers
+            WHERE phone_number = ?
+                AND blocked_by = 'OPT_OUT'`,
+            [userPhone]
+        );
+
+        if (result.affectedRows > 0) {
+            logger.info(`[OPT-OUT] ✅ ${userPhone} volvió a darse de alta`);
+        }
+
+        return result.affectedRows > 0;
+
+    } catch (error) {
+        logger.error(`[OPT-OUT] Error dando de alta a ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Verifica si un número está en blocked_numbers (baja o bloqueo manual)
+ * @param {string} userPhone - Número del usuario
+ * @returns {Promise<boolean>}
+ */
+async function isBlocked(userPhone) {
+    try {
+        const [rows] = await db.query(
+            'SELECT 1 FROM blocked_numbers WHERE phone_number = ? LIMIT 1',
+            [userPhone]
+        );
+
+        return rows.length > 0;
+
+    } catch (error) {
+        logger.error(`[OPT-OUT] Error verificando bloqueo de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    detectCommand,
+    optOut,
+    optIn,
+    isBlocked
+};
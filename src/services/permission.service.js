@@ -0,0 +1,84 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Permisos requeridos por los endpoints de control de WhatsApp
+ */
+const PERMISSIONS = {
+    START: 'whatsapp.start',
+    STOP: 'whatsapp.stop',
+    CLEANUP: 'whatsapp.cleanup',
+    FORCE_CLEANUP: 'whatsapp.force_cleanup'
+};
+
+// Caché corta para no consultar la BD de roles en cada petición
+const CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+/**
+ * Obtiene un rol y sus permisos desde la BD de roles
+ * @param {string|number} role - ID o nombre del rol
+ * @returns {Promise<{id: number, name: string, permissions: Array<string>}|null>}
+ */
+async function getRoleWithPermissions(role) {
+    const cacheKey = String(role);
+    const cached = roleCache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    try {
+        const [roles] = await db.query(
+            `SELECT
+                id,
+                name
+            FROM roles
+            WHERE id = ? OR name = ?
+            LIMIT 1`,
+            [role, role]
+        );
+
+        let value = null;
+
+        if (roles.length > 0) {
+            const [permissions] = await db.query(
+                `SELECT p.name
+                FROM role_permissions rp
+                INNER JOIN permissions p ON rp.permission_id = p.id
+                WHERE rp.role_id = ?`,
+                [roles[0].id]
+            );
+
+            value = {
+                id: roles[0].id,
+                name: roles[0].name,
+                permissions: permissions.map(p => p.name)
+            };
+        }
+
+        roleCache.set(cacheKey, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+
+        return value;
+
+    } catch (error) {
+        logger.error(`[PERMISSION] Error obteniendo permisos del rol ${role}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Verifica si un rol tiene todos los permisos indicados
+ * @param {object} role - Rol obtenido con getRoleWithPermissions
+ * @param {Array<string>} required - Permisos requeridos
+ * @returns {Array<string>} - Permisos faltantes (vacío si tiene todos)
+ */
+function getMissingPermissions(role, required) {
+    return required.filter(permission => !role.permissions.includes(permission));
+}
+
+module.exports = {
+    PERMISSIONS,
+    getRoleWithPermissions,
+    getMissingPermissions
+};
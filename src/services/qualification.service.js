@@ -0,0 +1,298 @@
+const db = require('../config/database2');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const eventBus = require('../utils/event-bus');
+const { normalizeText } = require('../utils/keyword-matcher');
+const { parseNumber } = require('../utils/number-parser');
+
+/**
+ * Parsea una columna JSON que puede venir como string
+ */
+function parseJson(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Obtiene la configuración de una pregunta con su texto
+ * @param {number} messageId - ID del mensaje tipo QUESTION
+ * @returns {Promise<object|null>}
+ */
+async function getQuestion(messageId) {
+    try {
+        const [questions] = await db.query(
+            `SELECT
+                mq.*,
+                m.content,
+                m.campaign_id,
+                m.sort_order
+            FROM message_questions mq
+            INNER JOIN messages m ON mq.message_id = m.id
+            WHERE mq.message_id = ?`,
+            [messageId]
+        );
+
+        if (questions.length === 0) {
+            return null;
+        }
+
+        const question = questions[0];
+        question.options = parseJson(question.options, []);
+        question.number_ranges = parseJson(question.number_ranges, []);
+
+        return question;
+
+    } catch (error) {
+        logger.error(`[QUALIFICATION] Error obteniendo pregunta ${messageId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Lista numerada de opciones de una pregunta
+ * @param {object} question
+ * @returns {string}
+ */
+function formatOptions(question) {
+    return question.options
+        .map((option, index) => `${index + 1}. ${option.label || option.value}`)
+        .join('\n');
+}
+
+/**
+ * Texto completo de la pregunta (con las opciones si las tiene)
+ * @param {object} question - Pregunta
+ * @param {string} content - Texto de la pregunta con las variables ya reemplazadas
+ * @returns {string}
+ */
+function formatQuestion(question, content) {
+    if (question.validation_type !== 'OPTIONS' || question.options.length === 0) {
+        return content;
+    }
+
+    return `${content}\n\n${formatOptions(question)}\n\n_Responde con el número de tu opción_`;
+}
+
+/**
+ * Mensaje para volver a pedir la respuesta cuando no es válida
+ * @param {object} question
+ * @returns {string}
+ */
+function buildReprompt(question) {
+    const reprompt = question.reprompt_message || config.qualification.defaultReprompt;
+
+    if (question.validation_type === 'OPTIONS' && question.options.length > 0) {
+        return `${reprompt}\n\n${formatOptions(question)}`;
+    }
+
+    return reprompt;
+}
+
+/**
+ * Puntaje de una respuesta numérica según los rangos configurados ([min, max))
+ */
+function scoreNumber(question, value) {
+    const range = question.number_ranges.find(candidate =>
+        (candidate.min === null || candidate.min === undefined || value >= candidate.min) &&
+        (candidate.max === null || candidate.max === undefined || value < candidate.max)
+    );
+
+    return range ? Number(range.score) || 0 : 0;
+}
+
+/**
+ * Busca la opción elegida: por número ("2") o por texto (valor, etiqueta o sinónimo)
+ */
+function matchOption(question, answerText) {
+    const normalized = normalizeText(answerText);
+    const index = /^\d+$/.test(normalized) ? Number(normalized) - 1 : -1;
+
+    if (index >= 0 && index < question.options.length) {
+        return question.options[index];
+    }
+
+    return question.options.find(option =>
+        [option.value, option.label, ...(option.synonyms || [])]
+            .filter(Boolean)
+            .some(candidate => {
+                const normalizedCandidate = normalizeText(String(candidate));
+                return normalized === normalizedCandidate || ` ${normalized} `.includes(` ${normalizedCandidate} `);
+            })
+    ) || null;
+}
+
+/**
+ * Valida la respuesta del lead según el tipo de la pregunta
+ * @param {object} question - Pregunta
+ * @param {string} answerText - Texto recibido
+ * @returns {{valid: boolean, value: string|null, score: number}}
+ */
+function validateAnswer(question, answerText) {
+    const invalid = { valid: false, value: null, score: 0 };
+
+    switch (question.validation_type) {
+        case 'NUMBER': {
+            const value = parseNumber(answerText);
+
+            if (value === null) return invalid;
+            if (question.min_value !== null && value < Number(question.min_value)) return invalid;
+            if (question.max_value !== null && value > Number(question.max_value)) return invalid;
+
+            return { valid: true, value: String(value), score: scoreNumber(question, value) };
+        }
+
+        case 'OPTIONS': {
+            const option = matchOption(question, answerText);
+
+            if (!option) return invalid;
+
+            return { valid: true, value: String(option.value), score: Number(option.score) || 0 };
+        }
+
+        default: {
+            const value = answerText.trim();
+
+            if (value.length === 0) return invalid;
+
+            return { valid: true, value: value.substring(0, 255), score: question.text_score || 0 };
+        }
+    }
+}
+
+/**
+ * Guarda la respuesta de una pregunta, la copia en session_metadata.answers
+ * y actualiza el puntaje acumulado de la conversación
+ * @param {object} data
+ * @param {number} data.conversationId - ID de la conversación
+ * @param {object} data.question - Pregunta respondida
+ * @param {string} data.rawAnswer - Texto recibido
+ * @param {object} data.result - Resultado de validateAnswer
+ * @param {number} data.attempts - Intentos usados
+ * @returns {Promise<number>} - Puntaje acumulado
+ */
+async function saveAnswer({ conversationId, question, rawAnswer, result, attempts }) {
+    try {
+        await db.query(
+            `INSERT INTO bot_conversation_answers
+            (conversation_id, message_id, answer_key, raw_answer, answer_value, score, is_valid, attempts, answered_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+            ON DUPLICATE KEY UPDATE
+                raw_answer = VALUES(raw_answer),
+                answer_value = VALUES(answer_value),
+                score = VALUES(score),
+                is_valid = VALUES(is_valid),
+                attempts = VALUES(attempts),
+                answered_at = NOW()`,
+            [conversationId, question.message_id, question.answer_key, rawAnswer, result.value, result.score, result.valid, attempts]
+        );
+
+        const [totals] = await db.query(
+            `SELECT COALESCE(SUM(score), 0) as score
+            FROM bot_conversation_answers
+            WHERE conversation_id = ?`,
+            [conversationId]
+        );
+
+        const score = Number(totals[0].score) || 0;
+
+        await db.query(
+            `UPDATE bot_conversations
+            SET qualification_score = ?,
+                updated_at = NOW(),
+                session_metadata = JSON_SET(
+                    JSON_SET(
+                        COALESCE(session_metadata, '{}'),
+                        '$.answers',
+                        COALESCE(JSON_EXTRACT(session_metadata, '$.answers'), JSON_OBJECT())
+                    ),
+                    CONCAT('$.answers."', ?, '"'),
+                    ?
+                )
+            WHERE id = ?`,
+            [score, question.answer_key, result.value, conversationId]
+        );
+
+        logger.info(`[QUALIFICATION] Respuesta "${question.answer_key}" guardada en conversación ${conversationId}: ${result.value} (+${result.score}, total ${score})`);
+
+        return score;
+
+    } catch (error) {
+        logger.error(`[QUALIFICATION] Error guardando respuesta de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Marca la conversación como calificada, solo una vez y solo si el lead respondió alguna pregunta
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<boolean>} - true si recién quedó calificada
+ */
+async function markQualified(conversationId) {
+    try {
+        const [result] = await db.query(
+            `UPDATE bot_conversations bc
+            SET bc.session_metadata = JSON_SET(COALESCE(bc.session_metadata, '{}'), '$.qualified_at', DATE_FORMAT(NOW(), '%Y-%m-%d %H:%i:%s'))
+            WHERE bc.id = ?
+                AND JSON_EXTRACT(COALESCE(bc.session_metadata, '{}'), '$.qualified_at') IS NULL
+                AND EXISTS (
+                    SELECT 1 FROM bot_conversation_answers a
+                    INNER JOIN messages m ON a.message_id = m.id
+                    INNER JOIN message_types mt ON m.message_type_id = mt.id
+                    WHERE a.conversation_id = bc.id
+                        AND mt.type_code = 'QUESTION'
+                )`,
+            [conversationId]
+        );
+
+        return result.affectedRows > 0;
+
+    } catch (error) {
+        logger.error(`[QUALIFICATION] Error marcando conversación ${conversationId} como calificada:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Publica el puntaje final cuando el lead terminó el cuestionario
+ * @param {number} conversationId - ID de la conversación
+ * @param {string} userPhone - Número del lead
+ * @param {number} score - Puntaje final
+ */
+function publishQualified(conversationId, userPhone, score) {
+    logger.info(`[QUALIFICATION] 🏁 Lead ${userPhone} calificado: ${score} puntos (conversación ${conversationId})`);
+    eventBus.publish('lead.qualified', { conversationId, userPhone, score });
+}
+
+/**
+ * Respuestas guardadas de una conversación
+ * @param {number} conversationId - ID de la conversación
+ * @returns {Promise<Array>}
+ */
+async function getAnswers(conversationId) {
+    try {
+        const [answers] = await db.query(
+            `SELECT answer_key, raw_answer, answer_value, score, is_valid, attempts, answered_at
+            FROM bot_conversation_answers
+            WHERE conversation_id = ?
+            ORDER BY answered_at ASC`,
+            [conversationId]
+        );
+
+        return answers;
+
+    } catch (error) {
+        logger.error(`[QUALIFICATION] Error obteniendo respuestas de conversación ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    getQuestion,
+    formatQuestion,
+    buildReprompt,
+    validateAnswer,
+    saveAnswer,
+    markQualified,
+    publishQualified,
+    getAnswers
+};
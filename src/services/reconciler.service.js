@@ -0,0 +1,172 @@
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const lineManager = require('./line-manager.service');
+const jobQueue = require('./job-queue.service');
+const messageService = require('./message.service');
+const conversationService = require('./conversation.service');
+const flowService = require('./flow.service');
+
+/**
+ * Revisa las conversaciones que quedaron abiertas sin actividad (ej: caída a mitad
+ * de una secuencia) y las reanuda o las cierra, para que el usuario no quede
+ * bloqueado por una conversación "activa" que nunca termina
+ */
+class Reconciler {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+        this.lastRun = null;
+    }
+
+    /**
+     * Ejecuta una revisión inmediata y luego una periódica
+     */
+    async start() {
+        if (this.timer) return;
+
+        await this.run();
+
+        this.timer = setInterval(() => this.run(), config.reconciler.intervalMs);
+        logger.info(`[RECONCILER] ▶️ Reconciliador iniciado (cada ${config.reconciler.intervalMs / 1000}s)`);
+    }
+
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Una pasada del reconciliador (no se solapa con la anterior)
+     * @returns {Promise<{resumed: number, completed: number, failed: number, skipped: number}|null>}
+     */
+    async run() {
+        if (this.running) return null;
+
+        this.running = true;
+        const summary = { resumed: 0, completed: 0, failed: 0, skipped: 0 };
+
+        try {
+            const conversations = await conversationService.getStaleConversations(config.reconciler.staleMinutes);
+
+            for (const conversation of conversations) {
+                try {
+                    const outcome = await this.reconcile(conversation);
+                    summary[outcome]++;
+                } catch (error) {
+                    logger.error(`[RECONCILER] Error reconciliando conversación ${conversation.id}:`, error);
+                }
+            }
+
+            if (conversations.length > 0) {
+                logger.info(`[RECONCILER] ${conversations.length} conversaciones colgadas - Reanudadas: ${summary.resumed}, Completadas: ${summary.completed}, Fallidas: ${summary.failed}, Pendientes: ${summary.skipped}`);
+            }
+
+            this.lastRun = { at: new Date().toISOString(), found: conversations.length, ...summary };
+
+            return summary;
+
+        } catch (error) {
+            logger.error('[RECONCILER] Error en revisión de conversaciones colgadas:', error);
+            return null;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Decide qué hacer con una conversación colgada a partir de lo que ya registró bot_message_log
+     * @param {object} conversation - Conversación colgada
+     * @returns {Promise<string>} - resumed | completed | failed | skipped
+     */
+    async reconcile(conversation) {
+        // Esperando la respuesta a una pregunta o menú: no está colgada, salvo que el lead no responda en el plazo
+        if (conversation.awaiting_message_id) {
+            const idleMinutes = (Date.now() - new Date(conversation.last_message_sent_at || conversation.conversation_started_at).getTime()) / 60000;
+
+            if (idleMinutes <= config.qualification.answerTimeoutMinutes) {
+                return 'skipped';
+            }
+
+            await conversationService.closeUnansweredQuestionnaire(conversation.id);
+            return 'completed';
+        }
+
+        const ageMinutes = (Date.now() - new Date(conversation.conversation_started_at).getTime()) / 60000;
+
+        // Reanudar una secuencia de hace días confunde al lead más de lo que ayuda
+        if (ageMinutes > config.reconciler.maxResumeAgeMinutes) {
+            await conversationService.failConversation(conversation.id, 'Conversación colgada demasiado antigua para reanudar');
+            return 'failed';
+        }
+
+        const messages = await messageService.getCampaignMessages(conversation.campaign_id);
+
+        if (messages.length === 0) {
+            await conversationService.failConversation(conversation.id, 'Conversación colgada sin mensajes configurados');
+            return 'failed';
+        }
+
+        const { sent, failed } = await messageService.getLoggedMessageIds(conversation.id);
+        const pending = messages.filter(msg => !sent.has(msg.id) && !failed.has(msg.id));
+        // Con preguntas o menús, solo hasta el primero pendiente (el resto se encola tras la respuesta).
+        // Las ramas de menú no se reanudan: se sigue con la secuencia principal
+        const remaining = flowService.takeUntilInteractive(pending);
+
+        if (remaining.length === 0) {
+            if (sent.size > 0) {
+                await conversationService.completeConversation(conversation.id);
+                return 'completed';
+            }
+
+            await conversationService.failConversation(conversation.id, 'Todos los mensajes fallaron');
+            return 'failed';
+        }
+
+        const lineId = await this.resolveLineId(conversation);
+
+        if (!lineId) {
+            logger.warn(`[RECONCILER] Conversación ${conversation.id}: no hay línea para la corse ${conversation.corse}, se reintentará`);
+            return 'skipped';
+        }
+
+        await jobQueue.enqueueSequence({
+            conversationId: conversation.id,
+            lineId,
+            userPhone: conversation.user_phone,
+            messages: remaining,
+            variables: { nombre: conversation.user_name, telefono: conversation.user_phone }
+        });
+
+        await conversationService.resumeConversation(conversation.id, remaining.length);
+
+        logger.info(`[RECONCILER] 🔄 Conversación ${conversation.id} reanudada en línea ${lineId}: ${sent.size} enviados, ${remaining.length} pendientes`);
+
+        return 'resumed';
+    }
+
+    /**
+     * Línea que debe continuar la conversación: la conectada con el mismo número
+     * o, si no, la que venía enviando sus jobs (el dispatcher espera a que se conecte)
+     * @param {object} conversation - Conversación colgada
+     * @returns {Promise<string|null>}
+     */
+    async resolveLineId(conversation) {
+        const connected = lineManager.listLines()
+            .find(status => status.botNumber && status.botNumber === conversation.corse);
+
+        if (connected) return connected.lineId;
+
+        return jobQueue.getConversationLineId(conversation.id);
+    }
+
+    getStatus() {
+        return {
+            running: this.timer !== null,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+module.exports = new Reconciler();
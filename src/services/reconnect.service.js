@@ -0,0 +1,196 @@
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { sleep } = require('../utils/helpers');
+
+/**
+ * Supervisa la reconexión automática de una línea tras desconexiones que no son LOGOUT.
+ * Reintenta desde la sesión guardada con backoff exponencial y jitter, hasta un máximo de intentos.
+ */
+class ReconnectSupervisor {
+    /**
+     * @param {object} line - Instancia de WhatsAppService a supervisar
+     */
+    constructor(line) {
+        this.line = line;
+        this.logTag = `[RECONNECT][${line.lineId}]`;
+        this.timer = null;
+        this.running = false;
+        this.cancelled = false;
+        this.disconnectReason = null;
+        this.attempts = [];
+        this.outcome = null;
+    }
+
+    /**
+     * Calcula la espera antes de un intento (backoff exponencial con jitter)
+     * @param {number} attempt - Número de intento (desde 1)
+     * @returns {number} - Milisegundos
+     */
+    getDelay(attempt) {
+        const { baseDelayMs, maxDelayMs } = config.reconnect;
+        const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+
+        // Jitter: entre la mitad y el total del delay exponencial
+        return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+    }
+
+    /**
+     * Inicia el ciclo de reconexión tras una desconexión
+     * @param {string} reason - Razón de la desconexión
+     */
+    start(reason) {
+        if (this.running) {
+            logger.warn(`${this.logTag} Reconexión ya en curso, ignorando nueva desconexión (${reason})`);
+            return;
+        }
+
+        this.running = true;
+        this.cancelled = false;
+        this.disconnectReason = reason;
+        this.attempts = [];
+        this.outcome = null;
+
+        logger.info(`${this.logTag} 🔄 Iniciando reconexión automática (razón: ${reason})`);
+
+        this.scheduleNext();
+    }
+
+    /**
+     * Programa el siguiente intento o termina si se alcanzó el máximo
+     */
+    scheduleNext() {
+        const attempt = this.attempts.length + 1;
+
+        if (attempt > config.reconnect.maxAttempts) {
+            this.finish('GAVE_UP');
+            logger.error(`${this.logTag} ❌ Reconexión abandonada tras ${config.reconnect.maxAttempts} intentos`);
+            return;
+        }
+
+        const delayMs = this.getDelay(attempt);
+        const entry = {
+            attempt,
+            delayMs,
+            scheduledAt: new Date(Date.now() + delayMs).toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            result: 'SCHEDULED',
+            error: null
+        };
+
+        this.attempts.push(entry);
+
+        logger.info(`${this.logTag} Intento ${attempt}/${config.reconnect.maxAttempts} en ${Math.round(delayMs / 1000)}s`);
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.runAttempt(entry);
+        }, delayMs);
+    }
+
+    /**
+     * Ejecuta un intento: destruye el cliente caído y reinicializa desde la sesión guardada
+     * @param {object} entry - Registro del intento
+     */
+    async runAttempt(entry) {
+        if (this.cancelled) return;
+
+        entry.startedAt = new Date().toISOString();
+        entry.result = 'RUNNING';
+
+        try {
+            try {
+                await this.line.destroyClient();
+            } catch (error) {
+                logger.warn(`${this.logTag} No se pudo destruir el cliente anterior (continuando):`, error.message);
+            }
+
+            await this.line.initialize(this.line.currentRole, this.line.currentPermissions);
+            await this.waitForReady();
+
+            if (this.cancelled) return;
+
+            entry.result = 'SUCCESS';
+            entry.finishedAt = new Date().toISOString();
+            this.finish('RECONNECTED');
+
+            logger.info(`${this.logTag} ✅ Línea reconectada en el intento ${entry.attempt}`);
+
+        } catch (error) {
+            if (this.cancelled) return;
+
+            entry.result = 'FAILED';
+            entry.error = error.message;
+            entry.finishedAt = new Date().toISOString();
+
+            logger.warn(`${this.logTag} ⚠️ Intento ${entry.attempt} fallido: ${error.message}`);
+
+            this.scheduleNext();
+        }
+    }
+
+    /**
+     * Espera a que la línea quede lista; falla si pide QR (sesión perdida) o vence el tiempo
+     * @returns {Promise<void>}
+     */
+    async waitForReady() {
+        const deadline = Date.now() + config.reconnect.readyTimeoutMs;
+
+        while (Date.now() < deadline) {
+            if (this.cancelled) return;
+            if (this.line.isReady) return;
+
+            if (this.line.getQRCode()) {
+                throw new Error('La sesión guardada ya no es válida (se generó un QR)');
+            }
+
+            await sleep(1000);
+        }
+
+        throw new Error(`Timeout esperando conexión (${config.reconnect.readyTimeoutMs / 1000}s)`);
+    }
+
+    /**
+     * Marca el resultado final del ciclo de reconexión
+     * @param {string} outcome - RECONNECTED, GAVE_UP o CANCELLED
+     */
+    finish(outcome) {
+        this.running = false;
+        this.outcome = outcome;
+    }
+
+    /**
+     * Cancela la reconexión en curso (ej: detención manual de la línea)
+     */
+    cancel() {
+        if (!this.running) return;
+
+        this.cancelled = true;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const pending = this.attempts[this.attempts.length - 1];
+        if (pending && (pending.result === 'SCHEDULED' || pending.result === 'RUNNING')) {
+            pending.result = 'CANCELLED';
+            pending.finishedAt = new Date().toISOString();
+        }
+
+        this.finish('CANCELLED');
+        logger.info(`${this.logTag} Reconexión cancelada`);
+    }
+
+    getStatus() {
+        return {
+            active: this.running,
+            reason: this.disconnectReason,
+            maxAttempts: config.reconnect.maxAttempts,
+            attempts: this.attempts,
+            outcome: this.outcome
+        };
+    }
+}
+
+module.exports = ReconnectSupervisor;
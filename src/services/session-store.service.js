@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database2');
+const logger = require('../utils/logger');
+
+/**
+ * Store de sesiones de WhatsApp en MySQL para RemoteAuth.
+ * Guarda el zip de la sesión de cada línea en la tabla whatsapp_sessions,
+ * así los reinicios y cambios de contenedor conservan el login.
+ */
+class MysqlSessionStore {
+    /**
+     * @param {object} options
+     * @param {string} options.dataPath - Carpeta donde RemoteAuth deja el zip de la sesión
+     */
+    constructor({ dataPath }) {
+        this.dataPath = path.resolve(dataPath);
+    }
+
+    /**
+     * Ruta del zip que genera RemoteAuth para una sesión
+     * (versiones anteriores de whatsapp-web.js lo dejan en el directorio de trabajo)
+     * @param {string} session - Nombre de la sesión (RemoteAuth-<lineId>)
+     * @returns {string}
+     */
+    getArchivePath(session) {
+        const archivePath = path.join(this.dataPath, `${session}.zip`);
+
+        return fs.existsSync(archivePath) ? archivePath : path.resolve(`${session}.zip`);
+    }
+
+    /**
+     * @param {{session: string}} options
+     * @returns {Promise<boolean>}
+     */
+    async sessionExists({ session }) {
+        try {
+            const [rows] = await db.query(
+                'SELECT 1 FROM whatsapp_sessions WHERE session_name = ?',
+                [session]
+            );
+
+            return rows.length > 0;
+
+        } catch (error) {
+            logger.error(`[SESSION-STORE] Error verificando sesión ${session}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Guarda (o reemplaza) el zip de la sesión
+     * @param {{session: string}} options
+     * @returns {Promise<void>}
+     */
+    async save({ session }) {
+        try {
+            const sessionData = await fs.promises.readFile(this.getArchivePath(session));
+
+            await db.query(
+                `INSERT INTO whatsapp_sessions (session_name, session_data, updated_at)
+                VALUES (?, ?, NOW())
+                ON DUPLICATE KEY UPDATE
+                    session_data = VALUES(session_data),
+                    updated_at = NOW()`,
+                [session, sessionData]
+            );
+
+            logger.info(`[SESSION-STORE] 💾 Sesión ${session} guardada (${Math.round(sessionData.length / 1024)} KB)`);
+
+        } catch (error) {
+            logger.error(`[SESSION-STORE] Error guardando sesión ${session}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Escribe el zip de la sesión guardada en la ruta indicada
+     * @param {{session: string, path: string}} options
+     * @returns {Promise<void>}
+     */
+    async extract({ session, path: targetPath }) {
+        try {
+            const [rows] = await db.query(
+                'SELECT session_data FROM whatsapp_sessions WHERE session_name = ?',
+                [session]
+            );
+
+            if (rows.length === 0) {
+                throw new Error(`No existe la sesión ${session}`);
+            }
+
+            await fs.promises.writeFile(targetPath, rows[0].session_data);
+
+            logger.info(`[SESSION-STORE] 📦 Sesión ${session} restaurada`);
+
+        } catch (error) {
+            logger.error(`[SESSION-STORE] Error restaurando sesión ${session}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina la sesión guardada (cierre de sesión explícito)
+     * @param {{session: string}} options
+     * @returns {Promise<void>}
+     */
+    async delete({ session }) {
+        try {
+            await db.query(
+                'DELETE FROM whatsapp_sessions WHERE session_name = ?',
+                [session]
+            );
+
+            logger.info(`[SESSION-STORE] 🗑️ Sesión ${session} eliminada`);
+
+        } catch (error) {
+            logger.error(`[SESSION-STORE] Error eliminando sesión ${session}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new MysqlSessionStore({ dataPath: './.wwebjs_auth' });
@@ -0,0 +1,407 @@
+const db = require('../config/database2');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const { replaceVariables } = require('../utils/helpers');
+const { normalizeText, matchPhrase } = require('../utils/keyword-matcher');
+
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+// Columnas de un horario con sus cupos ocupados
+const SLOT_COLUMNS = `
+    s.id,
+    s.project_id,
+    s.starts_at,
+    DATE_FORMAT(s.starts_at, '%Y-%m-%d %H:%i') as starts_at_local,
+    s.duration_minutes,
+    s.capacity,
+    (
+        SELECT COUNT(*) FROM visit_bookings b
+        WHERE b.slot_id = s.id
+            AND b.status = 'CONFIRMED'
+    ) as booked`;
+
+/**
+ * Proyecto que promociona una campaña
+ * @param {number} campaignId - ID de la campaña
+ * @returns {Promise<object|null>}
+ */
+async function getCampaignProject(campaignId) {
+    try {
+        const [projects] = await db.query(
+            `SELECT p.id, p.name, p.address
+            FROM campaigns c
+            INNER JOIN projects p ON c.project_id = p.id
+            WHERE c.id = ?
+                AND p.is_active = TRUE
+                AND p.deleted_at IS NULL`,
+            [campaignId]
+        );
+
+        return projects[0] || null;
+
+    } catch (error) {
+        logger.error(`[VISIT] Error obteniendo proyecto de campaña ${campaignId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Próximos horarios con cupo de un proyecto
+ * @param {number} projectId - ID del proyecto
+ * @param {number|null} excludeSlotId - Horario a excluir (el de la visita que se reprograma)
+ * @returns {Promise<Array>}
+ */
+async function getAvailableSlots(projectId, excludeSlotId = null) {
+    try {
+        const [slots] = await db.query(
+            `SELECT ${SLOT_COLUMNS}
+            FROM visit_slots s
+            WHERE s.project_id = ?
+                AND s.id <> ?
+                AND s.is_active = TRUE
+                AND s.deleted_at IS NULL
+                AND s.starts_at > NOW() + INTERVAL ? HOUR
+                AND s.starts_at < NOW() + INTERVAL ? DAY
+            HAVING booked < s.capacity
+            ORDER BY s.starts_at ASC
+            LIMIT ?`,
+            [projectId, excludeSlotId || 0, config.visits.minLeadHours, config.visits.lookaheadDays, config.visits.slotsOffered]
+        );
+
+        return slots;
+
+    } catch (error) {
+        logger.error(`[VISIT] Error obteniendo horarios del proyecto ${projectId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Horarios por ID, en el orden indicado
+ * @param {Array<number>} slotIds - IDs de los horarios
+ * @returns {Promise<Array>}
+ */
+async function getSlotsByIds(slotIds) {
+    try {
+        if (slotIds.length === 0) return [];
+
+        const [slots] = await db.query(
+            `SELECT ${SLOT_COLUMNS}
+            FROM visit_slots s
+            WHERE s.id IN (?)`,
+            [slotIds]
+        );
+
+        return slotIds
+            .map(slotId => slots.find(slot => slot.id === slotId))
+            .filter(Boolean);
+
+    } catch (error) {
+        logger.error('[VISIT] Error obteniendo horarios ofrecidos:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fecha de un horario para los mensajes ("lunes 21/10, 09:00"). Se arma con la hora
+ * tal como está guardada, sin conversiones de zona horaria
+ * @param {string} startsAtLocal - 'YYYY-MM-DD HH:mm'
+ * @returns {string}
+ */
+function formatSlotDate(startsAtLocal) {
+    const [date, time] = startsAtLocal.split(' ');
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+
+    return `${weekday} ${String(day).padStart(2, '0')}/${String(month).padStart(2, '0')}, ${time}`;
+}
+
+/**
+ * Lista numerada de horarios
+ * @param {Array} slots - Horarios
+ * @returns {string}
+ */
+function formatSlotList(slots) {
+    return slots
+        .map((slot, index) => `${index + 1}. ${formatSlotDate(slot.starts_at_local)}`)
+        .join('\n');
+}
+
+/**
+ * Horario elegido por número ("2")
+ * @param {Array} slots - Horarios ofrecidos
+ * @param {string} answerText - Texto recibido
+ * @returns {object|null}
+ */
+function matchSlot(slots, answerText) {
+    const normalized = normalizeText(answerText);
+
+    if (!/^\d+$/.test(normalized)) return null;
+
+    return slots[Number(normalized) - 1] || null;
+}
+
+/**
+ * Registra los horarios ofrecidos al lead (cierra cualquier oferta anterior)
+ * @param {object} data
+ * @param {string} data.userPhone - Número del usuario
+ * @param {number|null} data.conversationId - Conversación
+ * @param {number|null} data.messageId - Paso VISIT que ofreció los horarios
+ * @param {number|null} data.bookingId - Visita que se reprograma
+ * @param {number} data.projectId - ID del proyecto
+ * @param {Array} data.slots - Horarios ofrecidos
+ * @returns {Promise<number>} - ID de la oferta
+ */
+async function createOffer({ userPhone, conversationId = null, messageId = null, bookingId = null, projectId, slots }) {
+    try {
+        await db.query(
+            `UPDATE bot_visit_offers
+            SET status = 'EXPIRED'
+            WHERE user_phone = ?
+                AND status = 'OPEN'`,
+            [userPhone]
+        );
+
+        const [result] = await db.query(
+            `INSERT INTO bot_visit_offers
+            (user_phone, conversation_id, message_id, booking_id, project_id, slot_ids, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, NOW() + INTERVAL ? HOUR)`,
+            [userPhone, conversationId, messageId, bookingId, projectId, JSON.stringify(slots.map(slot => slot.id)), config.visits.offerTtlHours]
+        );
+
+        return result.insertId;
+
+    } catch (error) {
+        logger.error(`[VISIT] Error registrando horarios ofrecidos a ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Oferta de horarios pendiente de elección del lead
+ * @param {string} userPhone - Número del usuario
+ * @returns {Promise<object|null>}
+ */
+async function getOpenOffer(userPhone) {
+    try {
+        const [offers] = await db.query(
+            `SELECT *
+            FROM bot_visit_offers
+            WHERE user_phone = ?
+                AND status = 'OPEN'
+                AND expires_at > NOW()
+            ORDER BY id DESC
+            LIMIT 1`,
+            [userPhone]
+        );
+
+        if (offers.length === 0) return null;
+
+        const offer = offers[0];
+        offer.slot_ids = typeof offer.slot_ids === 'string' ? JSON.parse(offer.slot_ids) : offer.slot_ids;
+
+        return offer;
+
+    } catch (error) {
+        logger.error(`[VISIT] Error obteniendo oferta de horarios de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Actualiza una oferta: nuevos horarios, un intento más o su cierre
+ * @param {number} offerId - ID de la oferta
+ * @param {object} changes - {slots, attempts, status}
+ * @returns {Promise<void>}
+ */
+async function updateOffer(offerId, { slots = null, attempts = null, status = null }) {
+    try {
+        await db.query(
+            `UPDATE bot_visit_offers
+            SET slot_ids = COALESCE(?, slot_ids),
+                attempts = COALESCE(?, attempts),
+                status = COALESCE(?, status)
+            WHERE id = ?`,
+            [slots ? JSON.stringify(slots.map(slot => slot.id)) : null, attempts, status, offerId]
+        );
+
+    } catch (error) {
+        logger.error(`[VISIT] Error actualizando oferta ${offerId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Reserva un cupo del horario. La verificación de cupo y la reserva van en la misma
+ * sentencia para no sobrevender el horario
+ * @param {object} data
+ * @param {number} data.slotId - ID del horario
+ * @param {number|null} data.conversationId - Conversación
+ * @param {string} data.lineId - Línea que atiende al lead
+ * @param {string} data.userPhone - Número del usuario
+ * @param {string} data.userName - Nombre del usuario
+ * @returns {Promise<number|null>} - ID de la reserva (null si el horario ya no tiene cupo)
+ */
+async function bookSlot({ slotId, conversationId, lineId, userPhone, userName }) {
+    try {
+        const [result] = await db.query(
+            `INSERT INTO visit_bookings (slot_id, project_id, conversation_id, line_id, user_phone, user_name)
+            SELECT s.id, s.project_id, ?, ?, ?, ?
+            FROM visit_slots s
+            WHERE s.id = ?
+                AND s.is_active = TRUE
+                AND s.deleted_at IS NULL
+                AND s.starts_at > NOW()
+                AND s.capacity > (
+                    SELECT COUNT(*) FROM visit_bookings b
+                    WHERE b.slot_id = s.id
+                        AND b.status = 'CONFIRMED'
+                )`,
+            [conversationId, lineId, userPhone, userName, slotId]
+        );
+
+        if (result.affectedRows === 0) {
+            return null;
+        }
+
+        logger.info(`[VISIT] 📅 Visita ${result.insertId} agendada: ${userPhone} en horario ${slotId}`);
+
+        return result.insertId;
+
+    } catch (error) {
+        logger.error(`[VISIT] Error reservando horario ${slotId} para ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene una reserva con su horario y proyecto
+ * @param {number} bookingId - ID de la reserva
+ * @returns {Promise<object|null>}
+ */
+async function getBookingById(bookingId) {
+    try {
+        const [bookings] = await db.query(
+            `SELECT
+                b.*,
+                s.starts_at,
+                DATE_FORMAT(s.starts_at, '%Y-%m-%d %H:%i') as starts_at_local,
+                p.name as project_name,
+                p.address as project_address
+            FROM visit_bookings b
+            INNER JOIN visit_slots s ON b.slot_id = s.id
+            INNER JOIN projects p ON b.project_id = p.id
+            WHERE b.id = ?`,
+            [bookingId]
+        );
+
+        return bookings[0] || null;
+
+    } catch (error) {
+        logger.error(`[VISIT] Error obteniendo visita ${bookingId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Próxima visita confirmada del lead
+ * @param {string} userPhone - Número del usuario
+ * @returns {Promise<object|null>}
+ */
+async function getUpcomingBooking(userPhone) {
+    try {
+        const [bookings] = await db.query(
+            `SELECT b.id
+            FROM visit_bookings b
+            INNER JOIN visit_slots s ON b.slot_id = s.id
+            WHERE b.user_phone = ?
+                AND b.status = 'CONFIRMED'
+                AND s.starts_at > NOW()
+            ORDER BY s.starts_at ASC
+            LIMIT 1`,
+            [userPhone]
+        );
+
+        return bookings.length > 0 ? getBookingById(bookings[0].id) : null;
+
+    } catch (error) {
+        logger.error(`[VISIT] Error obteniendo próxima visita de ${userPhone}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Cierra una reserva confirmada: cancelada o reprogramada a otra
+ * @param {number} bookingId - ID de la reserva
+ * @param {object} data - {status: CANCELLED | RESCHEDULED, reason, rescheduledToId}
+ * @returns {Promise<void>}
+ */
+async function closeBooking(bookingId, { status, reason = null, rescheduledToId = null }) {
+    try {
+        await db.query(
+            `UPDATE visit_bookings
+            SET status = ?,
+                cancel_reason = ?,
+                rescheduled_to_id = ?
+            WHERE id = ?
+                AND status = 'CONFIRMED'`,
+            [status, reason, rescheduledToId, bookingId]
+        );
+
+        logger.info(`[VISIT] Visita ${bookingId} ${status === 'RESCHEDULED' ? `reprogramada a ${rescheduledToId}` : 'cancelada'}`);
+
+    } catch (error) {
+        logger.error(`[VISIT] Error cerrando visita ${bookingId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Detecta si el lead pide cancelar o reprogramar su visita
+ * @param {string} messageText - Texto del mensaje recibido
+ * @returns {string|null} - CANCEL | RESCHEDULE
+ */
+function detectCommand(messageText) {
+    const normalizedMessage = normalizeText(messageText);
+
+    if (!normalizedMessage) return null;
+
+    if (matchPhrase(normalizedMessage, config.visits.cancelPhrases)) return 'CANCEL';
+    if (matchPhrase(normalizedMessage, config.visits.reschedulePhrases)) return 'RESCHEDULE';
+
+    return null;
+}
+
+/**
+ * Arma un mensaje sobre una visita con {nombre}, {proyecto}, {fecha} y {direccion}
+ * @param {string} template - Plantilla de config2.visits
+ * @param {object} booking - Reserva (getBookingById)
+ * @param {object} variables - {nombre, telefono}
+ * @returns {string}
+ */
+function buildBookingMessage(template, booking, variables) {
+    return replaceVariables(template, {
+        ...variables,
+        proyecto: booking.project_name,
+        fecha: formatSlotDate(booking.starts_at_local),
+        direccion: booking.project_address || ''
+    });
+}
+
+module.exports = {
+    getCampaignProject,
+    getAvailableSlots,
+    getSlotsByIds,
+    formatSlotDate,
+    formatSlotList,
+    matchSlot,
+    createOffer,
+    getOpenOffer,
+    updateOffer,
+    bookSlot,
+    getBookingById,
+    getUpcomingBooking,
+    closeBooking,
+    detectCommand,
+    buildBookingMessage
+};
@@ -0,0 +1,184 @@
+const axios = require('axios');
+const config = require('../config/config2');
+const logger = require('../utils/logger');
+const eventBus = require('../utils/event-bus');
+const webhookService = require('./webhook.service');
+
+// Lo que se guarda de la respuesta del CRM en el log de entregas
+const MAX_RESPONSE_LENGTH = 1000;
+
+/**
+ * Worker que registra los eventos del bus como entregas de webhook y las envía
+ * firmadas, reintentando con espera exponencial
+ */
+class WebhookDispatcher {
+    constructor() {
+        this.timer = null;
+        this.unsubscribe = null;
+        this.currentTick = null;
+        this.lastStaleRelease = 0;
+    }
+
+    /**
+     * Se suscribe al bus y empieza a sondear las entregas pendientes
+     */
+    async start() {
+        if (this.timer) return;
+
+        await this.releaseStaleDeliveries();
+
+        this.unsubscribe = eventBus.subscribe(event => {
+            if (!webhookService.SUPPORTED_EVENTS.includes(event.type)) return;
+
+            // El error ya quedó registrado en enqueueEvent
+            webhookService.enqueueEvent(event).catch(() => {});
+        });
+
+        this.timer = setInterval(() => this.tick(), config.webhooks.pollIntervalMs);
+        logger.info(`[WEBHOOK] ▶️ Envío de webhooks iniciado (cada ${config.webhooks.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Devuelve a la cola las entregas que quedaron en DELIVERING y anota cuándo se revisó
+     */
+    async releaseStaleDeliveries() {
+        this.lastStaleRelease = Date.now();
+        await webhookService.releaseStaleDeliveries(config.dispatcher.staleLockMinutes);
+    }
+
+    /**
+     * Un ciclo del worker (no se solapa con el anterior)
+     */
+    async tick() {
+        if (this.currentTick) return;
+
+        this.currentTick = (async () => {
+            try {
+                if (Date.now() - this.lastStaleRelease >= config.dispatcher.staleCheckIntervalMs) {
+                    await this.releaseStaleDeliveries();
+                }
+
+                const deliveries = await webhookService.claimDueDeliveries(config.webhooks.batchSize);
+
+                for (const delivery of deliveries) {
+                    try {
+                        await this.deliver(delivery);
+                    } catch (error) {
+                        logger.error(`[WEBHOOK] Error procesando entrega ${delivery.id}:`, error);
+                    }
+                }
+            } catch (error) {
+                logger.error('[WEBHOOK] Error en ciclo de webhooks:', error);
+            }
+        })();
+
+        try {
+            await this.currentTick;
+        } finally {
+            this.currentTick = null;
+        }
+    }
+
+    /**
+     * Espera antes del siguiente intento: se duplica en cada intento hasta el máximo
+     * @param {number} attempts - Intentos realizados
+     * @returns {number} - Segundos
+     */
+    getRetryDelay(attempts) {
+        const delay = config.webhooks.baseDelaySeconds * Math.pow(2, attempts - 1);
+        return Math.min(delay, config.webhooks.maxDelaySeconds);
+    }
+
+    /**
+     * Envía una entrega al endpoint. Cualquier respuesta 2xx es entrega exitosa
+     * @param {object} delivery - Entrega tomada de la cola (con url y secret del endpoint)
+     */
+    async deliver(delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const signature = webhookService.signPayload(delivery.secret, timestamp, body);
+
+        let response;
+
+        try {
+            response = await axios.post(delivery.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Webhook-Id': delivery.event_id,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Event': delivery.event_type,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${signature}`
+                },
+                timeout: config.webhooks.timeoutMs,
+                maxRedirects: 0,
+                responseType: 'text',
+                validateStatus: () => true
+            });
+        } catch (error) {
+            await this.recordFailedAttempt(delivery, { error: error.message });
+            return;
+        }
+
+        const responseText = typeof response.data === 'string'
+            ? response.data.substring(0, MAX_RESPONSE_LENGTH)
+            : null;
+
+        if (response.status < 200 || response.status >= 300) {
+            await this.recordFailedAttempt(delivery, { statusCode: response.status, error: `HTTP ${response.status}`, response: responseText });
+            return;
+        }
+
+        // El CRM ya la recibió: si falla el registro no se cuenta como intento fallido (se volvería a entregar)
+        try {
+            await webhookService.markDelivered(delivery, response.status, responseText);
+            logger.info(`[WEBHOOK] ✅ Entrega ${delivery.id} (${delivery.event_type}) entregada: HTTP ${response.status}`);
+        } catch (error) {
+            logger.error(`[WEBHOOK] Entrega ${delivery.id} entregada (HTTP ${response.status}) pero no se pudo registrar: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registra un intento fallido: programa el reintento o la da por fallida al agotar los intentos
+     * @param {object} delivery - Entrega que falló
+     * @param {object} attempt - {statusCode, error, response}
+     */
+    async recordFailedAttempt(delivery, attempt) {
+        try {
+            if (delivery.attempts >= config.webhooks.maxAttempts) {
+                await webhookService.markAttemptFailed(delivery, attempt, null);
+                logger.error(`[WEBHOOK] ❌ Entrega ${delivery.id} (${delivery.event_type}) fallida definitivamente: ${attempt.error}`);
+                return;
+            }
+
+            const delay = this.getRetryDelay(delivery.attempts);
+
+            await webhookService.markAttemptFailed(delivery, attempt, delay);
+            logger.warn(`[WEBHOOK] ⚠️ Entrega ${delivery.id} falló (intento ${delivery.attempts}/${config.webhooks.maxAttempts}): ${attempt.error}. Reintento en ${delay}s`);
+
+        } catch (error) {
+            logger.error(`[WEBHOOK] Error registrando fallo de entrega ${delivery.id}: ${error.message}`);
+        }
+    }
+
+    getStatus() {
+        return {
+            running: this.timer !== null,
+            busy: this.currentTick !== null
+        };
+    }
+}
+
+module.exports = new WebhookDispatcher();
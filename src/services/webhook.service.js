@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const db = require('../config/database2');
+const logger = require('../utils/logger');
+const { formatPhone } = require('../utils/helpers');
+const conversationService = require('./conversation.service');
+
+// Eventos del bus que se envían a los webhooks
+const SUPPORTED_EVENTS = [
+    'conversation.created',
+    'conversation.completed',
+    'conversation.failed',
+    'message.failed',
+    'lead.replied',
+    'visit.booked',
+    'visit.cancelled'
+];
+
+/**
+ * Parsea una columna JSON que puede venir como string
+ */
+function parseJson(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Obtiene los endpoints activos
+ * @returns {Promise<Array>}
+ */
+async function getActiveEndpoints() {
+    try {
+        const [endpoints] = await db.query(
+            `SELECT id, name, url, events
+            FROM webhook_endpoints
+            WHERE is_active = TRUE
+                AND deleted_at IS NULL`
+        );
+
+        return endpoints.map(endpoint => ({
+            ...endpoint,
+            events: parseJson(endpoint.events, null)
+        }));
+
+    } catch (error) {
+        logger.error('[WEBHOOK] Error obteniendo endpoints:', error);
+        throw error;
+    }
+}
+
+/**
+ * Indica si un endpoint está suscrito a un tipo de evento (sin lista = todos)
+ * @param {object} endpoint - Endpoint con events
+ * @param {string} eventType - Tipo de evento
+ * @returns {boolean}
+ */
+function endpointAccepts(endpoint, eventType) {
+    return !Array.isArray(endpoint.events) || endpoint.events.length === 0 || endpoint.events.includes(eventType);
+}
+
+/**
+ * Arma el payload de un evento con los datos de la conversación (campaña, keyword y lead)
+ * @param {object} event - Evento del bus {type, data, timestamp}
+ * @returns {Promise<object>}
+ */
+async function buildPayload(event) {
+    const { conversationId, ...details } = event.data;
+    const conversation = conversationId ? await conversationService.getConversationById(conversationId) : null;
+
+    const data = { conversationId: conversationId || null };
+
+    if (conversation) {
+        Object.assign(data, {
+            status: conversation.status,
+            campaign: {
+                id: conversation.campaign_id,
+                name: conversation.campaign_name
+            },
+            keyword: conversation.matched_keyword,
+            user: {
+                phone: formatPhone(conversation.user_phone),
+                chatId: conversation.user_phone,
+                name: conversation.user_name
+            },
+            line: conversation.corse,
+            advisorId: conversation.advisor_id,
+            qualificationScore: conversation.qualification_score
+        });
+    }
+
+    // Los datos propios del evento (motivo del fallo, mensaje del lead, etc.)
+    delete details.userPhone;
+    delete details.userName;
+    delete details.campaignId;
+    delete details.matchedKeyword;
+    delete details.corse;
+
+    return {
+        id: crypto.randomUUID(),
+        event: event.type,
+        occurredAt: event.timestamp,
+        data: { ...data, ...details }
+    };
+}
+
+/**
+ * Registra un evento como entregas pendientes para cada endpoint suscrito
+ * @param {object} event - Evento del bus {type, data, timestamp}
+ * @returns {Promise<number>} - Cantidad de entregas creadas
+ */
+async function enqueueEvent(event) {
+    try {
+        const endpoints = (await getActiveEndpoints()).filter(endpoint => endpointAccepts(endpoint, event.type));
+
+        if (endpoints.length === 0) return 0;
+
+        const payload = await buildPayload(event);
+        const rows = endpoints.map(endpoint => [endpoint.id, payload.id, event.type, JSON.stringify(payload)]);
+
+        await db.query(
+            `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload)
+            VALUES ?`,
+            [rows]
+        );
+
+        logger.debug(`[WEBHOOK] Evento ${event.type} (${payload.id}) encolado para ${rows.length} endpoints`);
+
+        return rows.length;
+
+    } catch (error) {
+        logger.error(`[WEBHOOK] Error encolando evento ${event.type}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Toma las entregas vencidas y las marca como DELIVERING
+ * @param {number} limit - Máximo de entregas a tomar
+ * @returns {Promise<Array>}
+ */
+async function claimDueDeliveries(limit) {
+    try {
+        const [deliveries] = await db.query(
+            `SELECT
+                d.*,
+                e.url,
+                e.secret
+            FROM webhook_deliveries d
+            INNER JOIN webhook_endpoints e ON d.endpoint_id = e.id
+            WHERE d.status = 'PENDING'
+                AND d.next_attempt_at <= NOW()
+                AND e.is_active = TRUE
+                AND e.deleted_at IS NULL
+            ORDER BY d.next_attempt_at ASC, d.id ASC
+            LIMIT ?`,
+            [limit]
+        );
+
+        const claimed = [];
+
+        for (const delivery of deliveries) {
+            const [result] = await db.query(
+                `UPDATE webhook_deliveries
+                SET status = 'DELIVERING',
+                    attempts = attempts + 1,
+                    locked_at = NOW()
+                WHERE id = ?
+                    AND status = 'PENDING'`,
+                [delivery.id]
+            );
+
+            if (result.affectedRows === 1) {
+                delivery.attempts += 1;
+                delivery.payload = parseJson(delivery.payload, {});
+                claimed.push(delivery);
+            }
+        }
+
+        return claimed;
+
+    } catch (error) {
+        logger.error('[WEBHOOK] Error tomando entregas vencidas:', error);
+        throw error;
+    }
+}
+
+/**
+ * Marca una entrega como entregada
+ * @param {object} delivery - Entrega
+ * @param {number} statusCode - Respuesta HTTP
+ * @param {string|null} response - Cuerpo de la respuesta (recortado)
+ * @returns {Promise<void>}
+ */
+async function markDelivered(delivery, statusCode, response) {
+    try {
+        await db.query(
+            `UPDATE webhook_deliveries
+            SET status = 'DELIVERED',
+                last_status_code = ?,
+                last_response = ?,
+                last_error = NULL,
+                locked_at = NULL,
+                delivered_at = NOW()
+            WHERE id = ?`,
+            [statusCode, response, delivery.id]
+        );
+
+    } catch (error) {
+        logger.error(`[WEBHOOK] Error marcando entrega ${delivery.id} como entregada:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Registra un intento fallido: vuelve a la cola con la espera indicada o, sin espera, queda FAILED
+ * @param {object} delivery - Entrega
+ * @param {object} attempt - {statusCode, error, response}
+ * @param {number|null} retryDelaySeconds - Espera antes del próximo intento (null = no reintentar)
+ * @returns {Promise<void>}
+ */
+async function markAttemptFailed(delivery, { statusCode = null, error, response = null }, retryDelaySeconds) {
+    try {
+        await db.query(
+            `UPDATE webhook_deliveries
+            SET status = ?,
+                next_attempt_at = NOW() + INTERVAL ? SECOND,
+                last_status_code = ?,
+                last_error = ?,
+                last_response = ?,
+                locked_at = NULL
+            WHERE id = ?`,
+            [retryDelaySeconds === null ? 'FAILED' : 'PENDING', retryDelaySeconds || 0, statusCode, error, response, delivery.id]
+        );
+
+    } catch (err) {
+        logger.error(`[WEBHOOK] Error registrando intento fallido de entrega ${delivery.id}:`, err);
+        throw err;
+    }
+}
+
+/**
+ * Devuelve a la cola las entregas que quedaron en DELIVERING (ej: caída durante el envío)
+ * @param {number} staleMinutes - Antigüedad mínima del bloqueo
+ * @returns {Promise<number>}
+ */
+async function releaseStaleDeliveries(staleMinutes) {
+    try {
+        const [result] = await db.query(
+            `UPDATE webhook_deliveries
+            SET status = 'PENDING',
+                locked_at = NULL
+            WHERE status = 'DELIVERING'
+                AND locked_at < NOW() - INTERVAL ? MINUTE`,
+            [staleMinutes]
+        );
+
+        return result.affectedRows;
+
+    } catch (error) {
+        logger.error('[WEBHOOK] Error liberando entregas bloqueadas:', error);
+        throw error;
+    }
+}
+
+/**
+ * Firma HMAC-SHA256 de una entrega: se firma "<timestamp>.<body>" con el secreto del endpoint
+ * @param {string} secret - Secreto del endpoint
+ * @param {number} timestamp - Segundos Unix enviados en X-Webhook-Timestamp
+ * @param {string} body - Cuerpo JSON tal cual se envía
+ * @returns {string} - Firma en hex
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Lista el log de entregas
+ * @param {object} filters
+ * @param {string|null} filters.status - PENDING | DELIVERING | DELIVERED | FAILED
+ * @param {number|null} filters.endpointId - Filtrar por endpoint
+ * @param {string|null} filters.eventType - Filtrar por tipo de evento
+ * @param {number} filters.limit - Máximo de resultados
+ * @returns {Promise<Array>}
+ */
+async function listDeliveries({ status = null, endpointId = null, eventType = null, limit = 100 } = {}) {
+    try {
+        let query = `SELECT
+                d.id,
+                d.endpoint_id,
+                e.name as endpoint_name,
+                d.event_id,
+                d.event_type,
+                d.payload,
+                d.status,
+                d.attempts,
+                d.next_attempt_at,
+                d.last_status_code,
+                d.last_error,
+                d.last_response,
+                d.replay_of_id,
+                d.delivered_at,
+                d.created_at
+            FROM webhook_deliveries d
+            INNER JOIN webhook_endpoints e ON d.endpoint_id = e.id
+            WHERE 1 = 1`;
+
+        const params = [];
+
+        if (status) {
+            query += ` AND d.status = ?`;
+            params.push(status);
+        }
+
+        if (endpointId) {
+            query += ` AND d.endpoint_id = ?`;
+            params.push(endpointId);
+        }
+
+        if (eventType) {
+            query += ` AND d.event_type = ?`;
+            params.push(eventType);
+        }
+
+        query += ` ORDER BY d.created_at DESC, d.id DESC LIMIT ?`;
+        params.push(limit);
+
+        const [deliveries] = await db.query(query, params);
+
+        return deliveries.map(delivery => ({
+            ...delivery,
+            payload: parseJson(delivery.payload, {})
+        }));
+
+    } catch (error) {
+        logger.error('[WEBHOOK] Error listando entregas:', error);
+        throw error;
+    }
+}
+
+/**
+ * Vuelve a enviar una entrega (el mismo evento y payload) como una entrega nueva
+ * @param {number} deliveryId - ID de la entrega original
+ * @returns {Promise<number|null>} - ID de la nueva entrega (null si no existe)
+ */
+async function replayDelivery(deliveryId) {
+    try {
+        const [result] = await db.query(
+            `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, replay_of_id)
+            SELECT endpoint_id, event_id, event_type, payload, id
+            FROM webhook_deliveries
+            WHERE id = ?`,
+            [deliveryId]
+        );
+
+        if (result.affectedRows === 0) {
+            return null;
+        }
+
+        logger.info(`[WEBHOOK] 🔁 Entrega ${deliveryId} reenviada como ${result.insertId}`);
+
+        return result.insertId;
+
+    } catch (error) {
+        logger.error(`[WEBHOOK] Error reenviando entrega ${deliveryId}:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    SUPPORTED_EVENTS,
+    enqueueEvent,
+    claimDueDeliveries,
+    markDelivered,
+    markAttemptFailed,
+    releaseStaleDeliveries,
+    signPayload,
+    listDeliveries,
+    replayDelivery
+};
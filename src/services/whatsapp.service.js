@@ -1,13 +1,42 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, RemoteAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
+const config = require('../config/config2');
 const logger = require('../utils/logger');
+const eventBus = require('../utils/event-bus');
 const campaignService = require('./campaign.service');
 const rateLimitService = require('./ratelimit.service');
 const conversationService = require('./conversation.service');
 const messageService = require('./message.service');
+const jobQueue = require('./job-queue.service');
+const optOutService = require('./optout.service');
+const handoffService = require('./handoff.service');
+const fallbackService = require('./fallback.service');
+const businessHoursService = require('./business-hours.service');
+const inboundService = require('./inbound.service');
+const qualificationService = require('./qualification.service');
+const flowService = require('./flow.service');
+const followupService = require('./followup.service');
+const advisorService = require('./advisor.service');
+const visitService = require('./visit.service');
+const catalogService = require('./catalog.service');
+const ReconnectSupervisor = require('./reconnect.service');
+const sessionStore = require('./session-store.service');
+const KeyedLock = require('../utils/keyed-lock');
+const { formatPhone, replaceVariables } = require('../utils/helpers');
 
+/**
+ * Cliente de WhatsApp asociado a una línea (número de ventas)
+ */
 class WhatsAppService {
-    constructor() {
+    /**
+     * @param {string} lineId - Identificador de la línea (se usa como clientId de LocalAuth)
+     * @param {object} options - Opciones de la línea
+     * @param {Array<number>|null} options.campaignIds - Campañas que atiende la línea (null = todas)
+     */
+    constructor(lineId, options = {}) {
+        this.lineId = lineId;
+        this.logTag = `[WHATSAPP][${lineId}]`;
+        this.campaignIds = options.campaignIds || null;
         this.client = null;
         this.qrCodeData = null;
         this.isReady = false;
@@ -16,6 +45,10 @@ class WhatsAppService {
         this.currentPermissions = [];
         this.botPhoneNumber = null;
         this.initializationPromise = null; 
+        this.reconnectSupervisor = new ReconnectSupervisor(this);
+        this.draining = false;
+        // Serializa el inicio de conversaciones por usuario dentro de la línea
+        this.conversationLock = new KeyedLock();
     }
 
     /**
@@ -27,13 +60,13 @@ class WhatsAppService {
     async initialize(role = 'user', permissions = []) {
         // ✅ PROTECCIÓN: Si ya se está inicializando, retornar la promesa existente
         if (this.initializationPromise) {
-            logger.warn('[WHATSAPP] Ya hay una inicialización en curso, esperando...');
+            logger.warn(`${this.logTag} Ya hay una inicialización en curso, esperando...`);
             return this.initializationPromise;
         }
 
         // ✅ PROTECCIÓN: Si ya está inicializado, no hacer nada
         if (this.client && this.isReady) {
-            logger.warn('[WHATSAPP] El cliente ya está inicializado y listo');
+            logger.warn(`${this.logTag} El cliente ya está inicializado y listo`);
             return Promise.resolve();
         }
 
@@ -58,13 +91,10 @@ class WhatsAppService {
             this.currentPermissions = permissions;
             this.qrCodeData = null;
 
-            logger.info(`[WHATSAPP] Inicializando cliente con rol: ${role}`);
+            logger.info(`${this.logTag} Inicializando cliente con rol: ${role}`);
 
-            // Crear cliente con LocalAuth
             this.client = new Client({
-                authStrategy: new LocalAuth({
-                    dataPath: './.wwebjs_auth'
-                }),
+                authStrategy: this.createAuthStrategy(),
                 puppeteer: {
                     headless: true,
                     args: [
@@ -92,15 +122,45 @@ class WhatsAppService {
             // Inicializar cliente
             await this.client.initialize();
 
-            logger.info('[WHATSAPP] Cliente inicializado correctamente');
+            logger.info(`${this.logTag} Cliente inicializado correctamente`);
 
         } catch (error) {
             this.isInitializing = false;
-            logger.error('[WHATSAPP] Error inicializando cliente:', error);
+            logger.error(`${this.logTag} Error inicializando cliente:`, error);
             throw error;
         }
     }
 
+    /**
+     * Crea la estrategia de autenticación según config.whatsapp.sessionStore
+     * @returns {object}
+     */
+    createAuthStrategy() {
+        if (config.whatsapp.sessionStore === 'mysql') {
+            return new RemoteAuth({
+                clientId: this.lineId,
+                dataPath: './.wwebjs_auth',
+                store: sessionStore,
+                backupSyncIntervalMs: config.whatsapp.sessionBackupIntervalMs
+            });
+        }
+
+        return new LocalAuth({
+            clientId: this.lineId,
+            dataPath: './.wwebjs_auth'
+        });
+    }
+
+    /**
+     * Nombre de la sesión con que la estrategia de autenticación guarda esta línea
+     * @returns {string}
+     */
+    getSessionName() {
+        return config.whatsapp.sessionStore === 'mysql'
+            ? `RemoteAuth-${this.lineId}`
+            : `session-${this.lineId}`;
+    }
+
     /**
      * Configura los event handlers del cliente (SIN DUPLICADOS)
      */
@@ -108,21 +168,22 @@ class WhatsAppService {
         // ✅ Remover todos los listeners anteriores si existen
         this.client.removeAllListeners();
 
-        // Evento: QR Code generado
-        this.client.once('qr', async (qr) => { // ← CAMBIO: once en vez de on
+        // Evento: QR Code generado (se repite cada vez que WhatsApp rota el QR)
+        this.client.on('qr', async (qr) => {
             try {
-                logger.info('[WHATSAPP] QR Code generado');
+                logger.info(`${this.logTag} QR Code generado`);
                 this.qrCodeData = await qrcode.toDataURL(qr);
-                logger.info('[WHATSAPP] QR Code convertido a base64, listo para mostrar');
+                logger.info(`${this.logTag} QR Code convertido a base64, listo para mostrar`);
+                eventBus.publish('qr', { lineId: this.lineId, qr: this.qrCodeData });
             } catch (error) {
-                logger.error('[WHATSAPP] Error generando QR Code:', error);
+                logger.error(`${this.logTag} Error generando QR Code:`, error);
             }
         });
 
         // Evento: Cliente listo (SOLO UNA VEZ)
         this.client.once('ready', async () => { // ← CAMBIO: once en vez de on
             if (this.isReady) {
-                logger.warn('[WHATSAPP] Evento ready ya procesado, ignorando duplicado');
+                logger.warn(`${this.logTag} Evento ready ya procesado, ignorando duplicado`);
                 return;
             }
 
@@ -133,36 +194,45 @@ class WhatsAppService {
             const info = this.client.info;
             this.botPhoneNumber = info.wid.user;
             
-            logger.info(`[WHATSAPP] ✅ Cliente conectado exitosamente`);
-            logger.info(`[WHATSAPP] Número: ${this.botPhoneNumber}`);
-            logger.info(`[WHATSAPP] Nombre: ${info.pushname}`);
+            logger.info(`${this.logTag} ✅ Cliente conectado exitosamente`);
+            logger.info(`${this.logTag} Número: ${this.botPhoneNumber}`);
+            logger.info(`${this.logTag} Nombre: ${info.pushname}`);
+            eventBus.publish('ready', { lineId: this.lineId, botNumber: this.botPhoneNumber, pushname: info.pushname });
         });
 
         // Evento: Autenticación exitosa
         this.client.on('authenticated', () => {
-            logger.info('[WHATSAPP] Autenticación exitosa');
+            this.qrCodeData = null;
+            logger.info(`${this.logTag} Autenticación exitosa`);
+            eventBus.publish('authenticated', { lineId: this.lineId });
         });
 
         // Evento: Fallo de autenticación
         this.client.on('auth_failure', (msg) => {
             this.isReady = false;
             this.isInitializing = false;
-            logger.error('[WHATSAPP] ❌ Fallo de autenticación:', msg);
+            logger.error(`${this.logTag} ❌ Fallo de autenticación:`, msg);
+            eventBus.publish('auth_failure', { lineId: this.lineId, message: msg });
         });
 
         // Evento: Cliente desconectado
         this.client.on('disconnected', async (reason) => {
             this.isReady = false;
+            this.isInitializing = false;
             this.qrCodeData = null;
             this.botPhoneNumber = null;
             
-            logger.warn(`[WHATSAPP] Cliente desconectado: ${reason}`);
+            logger.warn(`${this.logTag} Cliente desconectado: ${reason}`);
+            eventBus.publish('disconnected', { lineId: this.lineId, reason });
             
             // NO reconectar automáticamente en LOGOUT
             if (reason === 'LOGOUT') {
-                logger.info('[WHATSAPP] Logout detectado, no se intentará reconectar automáticamente');
+                logger.info(`${this.logTag} Logout detectado, no se intentará reconectar automáticamente`);
                 return;
             }
+
+            // Cualquier otra desconexión: reconectar desde la sesión guardada
+            this.reconnectSupervisor.start(reason);
         });
 
         // Evento: Mensaje recibido
@@ -170,14 +240,26 @@ class WhatsAppService {
             await this.handleIncomingMessage(message);
         });
 
+        // Evento: Confirmación de entrega/lectura de mensajes enviados por el bot
+        this.client.on('message_ack', async (message, ack) => {
+            if (!message.fromMe) return;
+            await messageService.updateDeliveryStatus(message.id._serialized, ack);
+        });
+
+        // Evento: Sesión respaldada por primera vez en la BD
+        this.client.on('remote_session_saved', () => {
+            logger.info(`${this.logTag} 💾 Sesión respaldada en la BD`);
+        });
+
         // Evento: Error
         this.client.on('error', (error) => {
-            logger.error('[WHATSAPP] Error en el cliente:', error);
+            logger.error(`${this.logTag} Error en el cliente:`, error);
         });
 
         // Evento: Cargando
         this.client.on('loading_screen', (percent, message) => {
-            logger.info(`[WHATSAPP] Cargando: ${percent}% - ${message}`);
+            logger.info(`${this.logTag} Cargando: ${percent}% - ${message}`);
+            eventBus.publish('loading_screen', { lineId: this.lineId, percent, message });
         });
     }
 
@@ -188,96 +270,929 @@ class WhatsAppService {
         try {
             if (message.fromMe) return;
             if (message.from.includes('@g.us')) {
-                logger.debug('[WHATSAPP] Mensaje de grupo ignorado');
+                logger.debug(`${this.logTag} Mensaje de grupo ignorado`);
                 return;
             }
 
             const userPhone = message.from;
             const messageText = message.body;
 
-            if (!messageText || messageText.trim().length === 0) return;
+            // Todo mensaje entrante queda en el log, aunque no tenga texto o el bot no lo procese
+            const inboundId = await inboundService.logInboundMessage(message, this.lineId);
 
-            const contact = await message.getContact();
-            const userName = contact.pushname || contact.name || 'Usuario';
+            // Si el lead escribe, los seguimientos programados ya no corresponden
+            await followupService.cancelFollowups(userPhone, 'El lead respondió');
 
-            logger.info(`[WHATSAPP] 📨 Mensaje recibido de ${userPhone} (${userName}): "${messageText}"`);
-
-            const activeConversation = await conversationService.getActiveConversation(userPhone);
-            if (activeConversation) {
-                logger.info(`[WHATSAPP] Usuario ${userPhone} tiene conversación activa (ID: ${activeConversation.id}), ignorando mensaje`);
+            // En modo drenado (apagado) no se aceptan nuevos disparadores
+            if (this.draining) {
+                logger.info(`${this.logTag} Línea en drenado, mensaje de ${message.from} ignorado`);
+                await this.linkInboundMessage(inboundId, userPhone, null);
                 return;
             }
 
-            const rateLimitCheck = await rateLimitService.checkRateLimit(userPhone);
-            if (!rateLimitCheck.allowed) {
-                logger.warn(`[WHATSAPP] Rate limit excedido para ${userPhone}: ${rateLimitCheck.reason}`);
+            if (!messageText || messageText.trim().length === 0) {
+                logger.info(`${this.logTag} 📎 Mensaje ${message.type} de ${userPhone} registrado`);
+                await this.linkInboundMessage(inboundId, userPhone, null);
                 return;
             }
 
-            const campaignMatch = await campaignService.detectCampaign(messageText);
-            if (!campaignMatch) {
-                logger.info(`[WHATSAPP] No se detectó ninguna campaña para el mensaje: "${messageText}"`);
-                return;
-            }
+            const contact = await message.getContact();
+            const userName = contact.pushname || contact.name || 'Usuario';
 
-            logger.info(`[WHATSAPP] 🎯 Campaña detectada: "${campaignMatch.campaignName}" (ID: ${campaignMatch.campaignId})`);
+            logger.info(`${this.logTag} 📨 Mensaje recibido de ${userPhone} (${userName}): "${messageText}"`);
 
-            await rateLimitService.updateRateLimit(userPhone);
+            // Solo un mensaje por usuario puede pasar a la vez por la verificación y creación
+            // de la conversación; los que lleguen en paralelo esperan y verán la conversación ya creada
+            const started = await this.conversationLock.run(userPhone, async () => {
+                // Baja/alta antes de detectar campañas
+                if (await this.handleSubscriptionCommand(userPhone, messageText)) return null;
 
-            const conversationId = await conversationService.createConversation({
-                userPhone,
-                userName,
-                campaignId: campaignMatch.campaignId,
-                triggerMessage: messageText,
-                matchedKeyword: campaignMatch.matchedKeyword,
-                matchType: campaignMatch.matchType,
-                corse: this.botPhoneNumber
+                // Un número dado de baja o bloqueado no recibe nada más del bot (ni llega al asesor)
+                if (await optOutService.isBlocked(userPhone)) {
+                    logger.info(`${this.logTag} 🚫 ${userPhone} está dado de baja o bloqueado, mensaje ignorado`);
+                    return null;
+                }
+
+                // Cancelación o reprogramación de una visita agendada
+                if (await this.handleVisitCommand(userPhone, userName, messageText)) return null;
+
+                // Respuesta a la pregunta, menú o agenda que la conversación está esperando
+                if (await this.handleAwaitingReply(userPhone, userName, messageText)) return null;
+
+                // "Ver más" sobre la última búsqueda en el catálogo
+                if (await this.handleCatalogMore(userPhone, userName, messageText)) return null;
+
+                // Respuestas a una conversación (o chat ya derivado) van al asesor
+                if (await this.handleLeadReply(userPhone, userName, messageText)) return null;
+
+                return this.startConversation(userPhone, userName, messageText);
             });
 
-            logger.info(`[WHATSAPP] 💬 Conversación creada: ID ${conversationId} - Bot: ${this.botPhoneNumber}`);
+            await this.linkInboundMessage(inboundId, userPhone, started ? started.conversationId : null);
+
+            if (!started) return;
+
+            const { conversationId, campaignMatch } = started;
+            const campaign = await campaignService.getCampaignById(campaignMatch.campaignId);
+
+            // El lead queda a cargo de un asesor desde que se crea la conversación
+            await this.assignAdvisor(conversationId, campaign, campaignMatch, userPhone, userName, messageText);
 
             const messages = await messageService.getCampaignMessages(campaignMatch.campaignId);
             
             if (messages.length === 0) {
-                logger.warn(`[WHATSAPP] La campaña ${campaignMatch.campaignId} no tiene mensajes configurados`);
+                logger.warn(`${this.logTag} La campaña ${campaignMatch.campaignId} no tiene mensajes configurados`);
                 await conversationService.failConversation(conversationId, 'Sin mensajes configurados');
                 return;
             }
 
-            logger.info(`[WHATSAPP] 📤 Iniciando envío de ${messages.length} mensajes a ${userPhone}`);
+            // La secuencia queda persistida; el dispatcher la envía respetando los delays.
+            // Si tiene preguntas o menús, se encola hasta el primero y el resto tras cada respuesta
+            await this.enqueueCampaignSequence(
+                conversationId,
+                campaign,
+                flowService.takeUntilInteractive(messages),
+                userPhone,
+                userName
+            );
+
+        } catch (error) {
+            logger.error(`${this.logTag} Error procesando mensaje:`, error);
+        }
+    }
 
-            const variables = { nombre: userName, telefono: userPhone };
-            const result = await messageService.sendSequentialMessages(
-                this.client,
+    /**
+     * Asigna la conversación a un asesor según la estrategia de la campaña y le avisa por WhatsApp.
+     * Un error aquí no detiene la secuencia: la conversación queda sin asignar
+     * @param {number} conversationId - ID de la conversación
+     * @param {object} campaign - Campaña
+     * @param {object} campaignMatch - Resultado de la detección de campaña
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Mensaje que disparó la campaña
+     * @returns {Promise<void>}
+     */
+    async assignAdvisor(conversationId, campaign, campaignMatch, userPhone, userName, messageText) {
+        try {
+            const advisor = await advisorService.assignConversation({ conversationId, campaign, userPhone });
+
+            if (!advisor) return;
+
+            const notice = advisorService.buildAssignmentNotice({
+                userName,
                 userPhone,
-                conversationId,
-                messages,
+                campaignName: campaign.name,
+                keyword: campaignMatch.matchedKeyword,
+                messageText
+            });
+
+            await this.client.sendMessage(advisorService.getAdvisorChatId(advisor), notice);
+
+        } catch (error) {
+            logger.error(`${this.logTag} Error asignando asesor a conversación ${conversationId}:`, error);
+        }
+    }
+
+    /**
+     * Vincula un mensaje entrante con la conversación creada o, si no se creó, con la última del usuario en la línea
+     * @param {number|null} inboundId - ID del registro en bot_inbound_messages
+     * @param {string} userPhone - Número del usuario
+     * @param {number|null} conversationId - Conversación recién creada (opcional)
+     * @returns {Promise<void>}
+     */
+    async linkInboundMessage(inboundId, userPhone, conversationId) {
+        if (!inboundId) return;
+
+        const linkedId = conversationId || await conversationService.getLatestConversationId(userPhone, this.botPhoneNumber);
+
+        if (linkedId) {
+            await inboundService.linkConversation(inboundId, linkedId);
+        }
+    }
+
+    /**
+     * Encola la secuencia de la campaña respetando el horario de atención: fuera de horario
+     * envía el aviso del calendario y, si la campaña está en modo DEFER, deja la parte
+     * configurada de la secuencia para la próxima apertura
+     * @param {number} conversationId - ID de la conversación
+     * @param {object} campaign - Campaña (con su configuración de horario)
+     * @param {Array} messages - Mensajes de la campaña
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @returns {Promise<void>}
+     */
+    async enqueueCampaignSequence(conversationId, campaign, messages, userPhone, userName) {
+        const variables = { nombre: userName, telefono: userPhone };
+        const base = { conversationId, lineId: this.lineId, userPhone, variables };
+        const outOfHours = await businessHoursService.getOutOfHours(campaign, this.lineId);
+
+        if (outOfHours) {
+            const notice = businessHoursService.buildOutOfHoursNotice(outOfHours, variables);
+
+            if (notice) {
+                await this.client.sendMessage(userPhone, notice);
+            }
+
+            logger.info(`${this.logTag} 🌙 Fuera de horario (${outOfHours.calendar.name}) - Campaña ${campaign.id} en modo ${campaign.out_of_hours_mode}`);
+        }
+
+        if (!outOfHours || campaign.out_of_hours_mode !== 'DEFER' || !outOfHours.nextOpening) {
+            await jobQueue.enqueueSequence({ ...base, messages });
+            logger.info(`${this.logTag} 📤 ${messages.length} mensajes encolados para ${userPhone}`);
+            return;
+        }
+
+        const deferFrom = campaign.out_of_hours_defer_from_order;
+        const immediate = deferFrom === null ? [] : messages.filter(msg => msg.sort_order < deferFrom);
+        const deferred = messages.slice(immediate.length);
+
+        await jobQueue.enqueueSequence({ ...base, messages: immediate });
+        await jobQueue.enqueueSequence({
+            ...base,
+            messages: deferred,
+            startAt: outOfHours.nextOpening
+        });
+
+        logger.info(`${this.logTag} 📤 ${immediate.length} mensajes encolados para ${userPhone}, ${deferred.length} diferidos a ${outOfHours.nextOpening.toISOString()}`);
+    }
+
+    /**
+     * Procesa las frases de baja (opt-out) y alta (opt-in) y confirma al usuario
+     * @param {string} userPhone - Número del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<boolean>} - true si el mensaje era un comando y ya fue atendido
+     */
+    async handleSubscriptionCommand(userPhone, messageText) {
+        const match = optOutService.detectCommand(messageText);
+
+        if (!match) return false;
+
+        if (match.command === 'OPT_OUT') {
+            await optOutService.optOut(userPhone, messageText);
+            await this.client.sendMessage(userPhone, config.optOut.confirmationMessage);
+            logger.info(`${this.logTag} 🚫 Baja de ${userPhone} confirmada (frase: "${match.phrase}")`);
+            return true;
+        }
+
+        // Alta: solo aplica si el usuario se había dado de baja; si no, el mensaje sigue su curso
+        if (!(await optOutService.optIn(userPhone))) return false;
+
+        await this.client.sendMessage(userPhone, config.optOut.optInConfirmationMessage);
+        logger.info(`${this.logTag} ✅ Alta de ${userPhone} confirmada`);
+        return true;
+    }
+
+    /**
+     * Atiende los pedidos de cancelar o reprogramar la próxima visita del lead y la elección
+     * del nuevo horario cuando está reprogramando
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<boolean>} - true si el mensaje era sobre una visita y ya fue atendido
+     */
+    async handleVisitCommand(userPhone, userName, messageText) {
+        const command = visitService.detectCommand(messageText);
+
+        if (!command) {
+            // La elección del nuevo horario de una reprogramación no depende de la conversación
+            const offer = await visitService.getOpenOffer(userPhone);
+
+            if (!offer || !offer.booking_id) return false;
+
+            await this.processSlotChoice(offer, userPhone, userName, messageText);
+            return true;
+        }
+
+        const booking = await visitService.getUpcomingBooking(userPhone);
+
+        if (!booking) return false;
+
+        const variables = { nombre: userName, telefono: userPhone };
+
+        if (command === 'CANCEL') {
+            await visitService.closeBooking(booking.id, { status: 'CANCELLED', reason: 'Cancelada por el lead' });
+            await jobQueue.cancelBookingJobs(booking.id, 'Visita cancelada');
+            await this.client.sendMessage(userPhone, visitService.buildBookingMessage(config.visits.cancelledMessage, booking, variables));
+
+            logger.info(`${this.logTag} 🗓️ ${userPhone} canceló su visita ${booking.id}`);
+
+            eventBus.publish('visit.cancelled', {
+                conversationId: booking.conversation_id,
+                bookingId: booking.id,
+                projectId: booking.project_id,
+                startsAt: booking.starts_at
+            });
+            return true;
+        }
+
+        const slots = await visitService.getAvailableSlots(booking.project_id, booking.slot_id);
+
+        if (slots.length === 0) {
+            await this.client.sendMessage(userPhone, config.visits.noSlotsMessage);
+            logger.info(`${this.logTag} ${userPhone} quiere reprogramar su visita ${booking.id} pero no hay horarios`);
+            return true;
+        }
+
+        await visitService.createOffer({
+            userPhone,
+            conversationId: booking.conversation_id,
+            bookingId: booking.id,
+            projectId: booking.project_id,
+            slots
+        });
+
+        await this.client.sendMessage(
+            userPhone,
+            `${visitService.buildBookingMessage(config.visits.rescheduleMessage, booking, variables)}\n\n${visitService.formatSlotList(slots)}`
+        );
+
+        logger.info(`${this.logTag} 🗓️ ${userPhone} reprograma su visita ${booking.id}: ${slots.length} horarios ofrecidos`);
+        return true;
+    }
+
+    /**
+     * Atiende la respuesta del lead al paso interactivo (pregunta, menú o agenda) en el que
+     * está detenida su conversación
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<boolean>} - true si el mensaje era la respuesta esperada
+     */
+    async handleAwaitingReply(userPhone, userName, messageText) {
+        const conversation = await conversationService.getActiveConversation(userPhone, this.botPhoneNumber);
+
+        if (!conversation || !conversation.awaiting_message_id) return false;
+
+        const awaiting = await messageService.getMessageById(conversation.awaiting_message_id);
+
+        if (awaiting && awaiting.type_code === 'MENU') {
+            await this.handleMenuReply(conversation, userPhone, userName, messageText);
+        } else if (awaiting && awaiting.type_code === 'VISIT') {
+            await this.handleVisitReply(conversation, userPhone, userName, messageText);
+        } else {
+            await this.handleQuestionAnswer(conversation, userPhone, userName, messageText);
+        }
+
+        return true;
+    }
+
+    /**
+     * Procesa la respuesta del lead a la pregunta pendiente de su conversación: si no es válida
+     * la vuelve a pedir (hasta max_attempts), si es válida (o se agotaron los intentos) la guarda
+     * y encola el siguiente tramo de la secuencia
+     * @param {object} conversation - Conversación detenida en la pregunta
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<void>}
+     */
+    async handleQuestionAnswer(conversation, userPhone, userName, messageText) {
+        const question = await qualificationService.getQuestion(conversation.awaiting_message_id);
+
+        if (!question) {
+            logger.warn(`${this.logTag} Pregunta ${conversation.awaiting_message_id} sin configuración, se continúa la secuencia`);
+            await conversationService.clearAwaitingQuestion(conversation.id);
+            await this.continueSequence(conversation, conversation.awaiting_message_id, userPhone, userName);
+            return;
+        }
+
+        const result = qualificationService.validateAnswer(question, messageText);
+        const attempts = conversation.awaiting_attempts + 1;
+
+        if (!result.valid && attempts < question.max_attempts) {
+            await conversationService.incrementAwaitingAttempts(conversation.id);
+            await this.client.sendMessage(userPhone, qualificationService.buildReprompt(question));
+            logger.info(`${this.logTag} ❓ Respuesta inválida de ${userPhone} a "${question.answer_key}" (intento ${attempts}/${question.max_attempts})`);
+            return;
+        }
+
+        // Agotados los intentos se guarda la respuesta como inválida y se sigue con la secuencia
+        await qualificationService.saveAnswer({
+            conversationId: conversation.id,
+            question,
+            rawAnswer: messageText,
+            result,
+            attempts
+        });
+
+        await conversationService.clearAwaitingQuestion(conversation.id);
+        await this.continueSequence(conversation, question.message_id, userPhone, userName);
+    }
+
+    /**
+     * Procesa la opción elegida en un menú: encola la rama (o deriva / cierra según su acción).
+     * Una respuesta que no corresponde a ninguna opción vuelve a mostrar el menú; agotados
+     * los intentos el flujo sigue después del menú sin entrar a ninguna rama
+     * @param {object} conversation - Conversación detenida en el menú
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<void>}
+     */
+    async handleMenuReply(conversation, userPhone, userName, messageText) {
+        const menuId = conversation.awaiting_message_id;
+        const menu = await flowService.getMenu(menuId);
+        const branch = menu ? flowService.matchBranch(menu.branches, messageText) : null;
+        const attempts = conversation.awaiting_attempts + 1;
+
+        if (menu && !branch && attempts < config.flow.maxMenuAttempts) {
+            await conversationService.incrementAwaitingAttempts(conversation.id);
+            await this.client.sendMessage(userPhone, messageService.formatMenu(config.flow.menuReprompt, menu.branches));
+            logger.info(`${this.logTag} ❓ Opción inválida de ${userPhone} en menú ${menuId} (intento ${attempts}/${config.flow.maxMenuAttempts})`);
+            return;
+        }
+
+        await conversationService.clearAwaitingQuestion(conversation.id);
+
+        if (!branch) {
+            logger.info(`${this.logTag} Menú ${menuId} sin opción válida de ${userPhone}, se continúa el flujo`);
+            await this.publishQualifiedIfDone(conversation.id, userPhone, await flowService.hasQuestionsAhead(menuId));
+            await this.enqueueSegment(conversation.id, await flowService.getNextSegment(menuId), userPhone, userName);
+            return;
+        }
+
+        // La elección queda junto a las respuestas de la conversación (sin puntaje)
+        await qualificationService.saveAnswer({
+            conversationId: conversation.id,
+            question: { message_id: menuId, answer_key: `menu_${menuId}` },
+            rawAnswer: messageText,
+            result: { valid: true, value: branch.label, score: 0 },
+            attempts
+        });
+
+        // HANDOFF y END cierran el flujo: ya no quedan preguntas
+        await this.publishQualifiedIfDone(
+            conversation.id,
+            userPhone,
+            branch.action === 'MESSAGES' && await flowService.branchHasQuestions(branch)
+        );
+
+        logger.info(`${this.logTag} 🔀 ${userPhone} eligió "${branch.label}" (opción ${branch.option_number}) en menú ${menuId} - Acción: ${branch.action}`);
+
+        switch (branch.action) {
+            case 'HANDOFF': {
+                await conversationService.completeConversation(conversation.id);
+
+                const forwardedTo = await this.forwardToAdvisor(userPhone, userName, messageText, conversation.campaign_name || null, conversation.id);
+                const handoffId = await handoffService.openHandoff({
+                    conversationId: conversation.id,
+                    lineId: this.lineId,
+                    userPhone,
+                    userName,
+                    messageText,
+                    forwardedTo
+                });
+
+                this.publishLeadReply(handoffId, conversation.id, userPhone, userName, messageText);
+                return;
+            }
+
+            case 'END':
+                await conversationService.completeConversation(conversation.id);
+                return;
+
+            default:
+                await this.enqueueSegment(conversation.id, await flowService.getBranchSegment(branch), userPhone, userName);
+        }
+    }
+
+    /**
+     * Procesa el horario elegido en el paso VISIT. Mientras el lead pueda seguir eligiendo
+     * el flujo queda detenido; agendada la visita (o sin horarios) continúa
+     * @param {object} conversation - Conversación detenida en el paso VISIT
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<void>}
+     */
+    async handleVisitReply(conversation, userPhone, userName, messageText) {
+        const visitMessageId = conversation.awaiting_message_id;
+        const offer = await visitService.getOpenOffer(userPhone);
+
+        const result = offer && offer.conversation_id === conversation.id && offer.slot_ids.length > 0
+            ? await this.processSlotChoice(offer, userPhone, userName, messageText)
+            : 'GAVE_UP';
+
+        if (result === 'RETRY') return;
+
+        await conversationService.clearAwaitingQuestion(conversation.id);
+        await this.publishQualifiedIfDone(conversation.id, userPhone, await flowService.hasQuestionsAhead(visitMessageId));
+        await this.enqueueSegment(conversation.id, await flowService.getNextSegment(visitMessageId), userPhone, userName);
+    }
+
+    /**
+     * Agenda el horario elegido de una oferta. Si la respuesta no es un horario lo vuelve a
+     * pedir (hasta maxAttempts); si el horario se llenó ofrece los que quedan. Cuando la
+     * oferta reprograma una visita, la anterior queda RESCHEDULED con sus recordatorios cancelados
+     * @param {object} offer - Oferta abierta (getOpenOffer)
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<string>} - BOOKED | RETRY | GAVE_UP
+     */
+    async processSlotChoice(offer, userPhone, userName, messageText) {
+        const slots = await visitService.getSlotsByIds(offer.slot_ids);
+        const slot = visitService.matchSlot(slots, messageText);
+
+        if (!slot) {
+            const attempts = offer.attempts + 1;
+
+            if (attempts >= config.visits.maxAttempts) {
+                await visitService.updateOffer(offer.id, { attempts, status: 'EXPIRED' });
+                logger.info(`${this.logTag} ${userPhone} no eligió horario de visita tras ${attempts} intentos`);
+                return 'GAVE_UP';
+            }
+
+            await visitService.updateOffer(offer.id, { attempts });
+            await this.client.sendMessage(userPhone, `${config.visits.invalidChoiceMessage}\n\n${visitService.formatSlotList(slots)}`);
+            logger.info(`${this.logTag} ❓ Horario inválido de ${userPhone} (intento ${attempts}/${config.visits.maxAttempts})`);
+            return 'RETRY';
+        }
+
+        const previous = offer.booking_id ? await visitService.getBookingById(offer.booking_id) : null;
+
+        const bookingId = await visitService.bookSlot({
+            slotId: slot.id,
+            conversationId: offer.conversation_id,
+            lineId: this.lineId,
+            userPhone,
+            userName
+        });
+
+        if (!bookingId) {
+            const remaining = await visitService.getAvailableSlots(offer.project_id, previous ? previous.slot_id : null);
+
+            if (remaining.length === 0) {
+                await visitService.updateOffer(offer.id, { status: 'EXPIRED' });
+                await this.client.sendMessage(userPhone, config.visits.noSlotsMessage);
+                logger.info(`${this.logTag} Horario ${slot.id} lleno y sin más horarios para ${userPhone}`);
+                return 'GAVE_UP';
+            }
+
+            await visitService.updateOffer(offer.id, { slots: remaining });
+            await this.client.sendMessage(userPhone, `${config.visits.slotTakenMessage}\n\n${visitService.formatSlotList(remaining)}`);
+            logger.info(`${this.logTag} Horario ${slot.id} lleno, ${remaining.length} horarios ofrecidos de nuevo a ${userPhone}`);
+            return 'RETRY';
+        }
+
+        await visitService.updateOffer(offer.id, { status: 'ACCEPTED' });
+
+        if (previous) {
+            await visitService.closeBooking(previous.id, { status: 'RESCHEDULED', rescheduledToId: bookingId });
+            await jobQueue.cancelBookingJobs(previous.id, 'Visita reprogramada');
+        }
+
+        const booking = await visitService.getBookingById(bookingId);
+        const variables = { nombre: userName, telefono: userPhone };
+        const reminderAt = new Date(new Date(booking.starts_at).getTime() - config.visits.reminderHoursBefore * 60 * 60 * 1000);
+
+        // Si la visita es antes de la hora del recordatorio, la confirmación hace de recordatorio
+        if (reminderAt > new Date()) {
+            await jobQueue.enqueueReminder({
+                conversationId: offer.conversation_id,
+                lineId: this.lineId,
+                userPhone,
+                bookingId,
+                dueAt: reminderAt,
                 variables
-            );
+            });
+        }
 
-            if (result.sent === messages.length) {
-                await conversationService.completeConversation(conversationId);
-                logger.info(`[WHATSAPP] ✅ Conversación ${conversationId} completada: ${result.sent}/${result.total}`);
-            } else if (result.failed === messages.length) {
-                await conversationService.failConversation(conversationId, 'Todos los mensajes fallaron');
-                logger.error(`[WHATSAPP] ❌ Conversación ${conversationId} fallida: ${result.failed}/${result.total}`);
-            } else {
-                await conversationService.completeConversation(conversationId);
-                logger.warn(`[WHATSAPP] ⚠️ Conversación ${conversationId} completada con errores: ${result.sent}/${result.total}`);
+        await this.client.sendMessage(userPhone, visitService.buildBookingMessage(config.visits.confirmationMessage, booking, variables));
+
+        logger.info(`${this.logTag} ✅ Visita ${bookingId} de ${userPhone} confirmada para ${booking.starts_at_local}`);
+
+        eventBus.publish('visit.booked', {
+            conversationId: offer.conversation_id,
+            bookingId,
+            projectId: booking.project_id,
+            startsAt: booking.starts_at,
+            rescheduledFromId: previous ? previous.id : null
+        });
+
+        return 'BOOKED';
+    }
+
+    /**
+     * Encola el tramo de la secuencia que sigue a una pregunta respondida. Si ya no quedan
+     * preguntas el lead queda calificado; si no quedan mensajes, la conversación se completa
+     * @param {object} conversation - Conversación activa
+     * @param {number} answeredMessageId - Pregunta respondida
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @returns {Promise<void>}
+     */
+    async continueSequence(conversation, answeredMessageId, userPhone, userName) {
+        const segment = await flowService.getNextSegment(answeredMessageId);
+
+        await this.publishQualifiedIfDone(conversation.id, userPhone, await flowService.hasQuestionsAhead(answeredMessageId));
+        await this.enqueueSegment(conversation.id, segment, userPhone, userName);
+    }
+
+    /**
+     * Publica el puntaje final (una sola vez) cuando al lead ya no le quedan preguntas en el flujo
+     * @param {number} conversationId - ID de la conversación
+     * @param {string} userPhone - Número del usuario
+     * @param {boolean} questionsAhead - Si todavía le pueden quedar preguntas
+     * @returns {Promise<void>}
+     */
+    async publishQualifiedIfDone(conversationId, userPhone, questionsAhead) {
+        if (questionsAhead || !(await qualificationService.markQualified(conversationId))) return;
+
+        const updated = await conversationService.getConversationById(conversationId);
+        qualificationService.publishQualified(conversationId, userPhone, updated ? updated.qualification_score || 0 : 0);
+    }
+
+    /**
+     * Encola un tramo del flujo; si está vacío el flujo terminó y la conversación se completa
+     * @param {number} conversationId - ID de la conversación
+     * @param {Array} segment - Mensajes a encolar
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @returns {Promise<void>}
+     */
+    async enqueueSegment(conversationId, segment, userPhone, userName) {
+        if (segment.length === 0) {
+            await conversationService.completeConversation(conversationId);
+            return;
+        }
+
+        await jobQueue.enqueueSequence({
+            conversationId,
+            lineId: this.lineId,
+            userPhone,
+            messages: segment,
+            variables: { nombre: userName, telefono: userPhone }
+        });
+
+        logger.info(`${this.logTag} 📤 ${segment.length} mensajes encolados para ${userPhone} tras la respuesta`);
+    }
+
+    /**
+     * Deriva a un asesor las respuestas del lead. Si el chat ya está derivado, reenvía el mensaje
+     * y el bot no responde; si el lead responde a una conversación en curso o recién completada
+     * con algo que no dispara una campaña, abre el handoff y cancela la secuencia pendiente
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<boolean>} - true si el mensaje quedó en manos del asesor
+     */
+    async handleLeadReply(userPhone, userName, messageText) {
+        const openHandoff = await handoffService.getOpenHandoff(userPhone, this.lineId);
+
+        if (openHandoff) {
+            await handoffService.recordHandoffMessage(openHandoff.id, messageText);
+            await this.forwardToAdvisor(userPhone, userName, messageText, null, openHandoff.conversation_id);
+            this.publishLeadReply(openHandoff.id, openHandoff.conversation_id, userPhone, userName, messageText);
+            logger.info(`${this.logTag} 🙋 Chat de ${userPhone} derivado (handoff ${openHandoff.id}), bot en silencio`);
+            return true;
+        }
+
+        const conversation = await conversationService.getRepliableConversation(
+            userPhone,
+            this.botPhoneNumber,
+            config.handoff.replyWindowHours
+        );
+
+        if (!conversation) return false;
+
+        // Un disparador de campaña no es una pregunta: lo atiende startConversation (duplicado o campaña nueva)
+        if (await campaignService.detectCampaign(messageText, this.campaignIds)) return false;
+
+        const forwardedTo = await this.forwardToAdvisor(userPhone, userName, messageText, conversation.campaign_name, conversation.id);
+
+        const handoffId = await handoffService.openHandoff({
+            conversationId: conversation.id,
+            lineId: this.lineId,
+            userPhone,
+            userName,
+            messageText,
+            forwardedTo
+        });
+
+        // El asesor toma el chat: el bot no sigue enviando la campaña
+        if (await jobQueue.cancelConversationJobs(conversation.id, 'SEQUENCE') > 0) {
+            await conversationService.completeConversation(conversation.id);
+        }
+
+        this.publishLeadReply(handoffId, conversation.id, userPhone, userName, messageText);
+
+        return true;
+    }
+
+    /**
+     * Reenvía el mensaje del lead al asesor asignado a la conversación o, si no tiene,
+     * al número configurado en config2.handoff
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje
+     * @param {string|null} campaignName - Campaña (solo en el primer mensaje del handoff)
+     * @param {number|null} conversationId - Conversación del lead
+     * @returns {Promise<string|null>} - Número al que se reenvió (null si no hay asesor configurado o falló)
+     */
+    async forwardToAdvisor(userPhone, userName, messageText, campaignName, conversationId = null) {
+        const advisor = conversationId ? await advisorService.getConversationAdvisor(conversationId) : null;
+        const advisorNumber = advisor ? advisor.whatsapp_number : config.handoff.advisorNumber;
+
+        if (!advisorNumber) return null;
+
+        const advisorChatId = advisor
+            ? advisorService.getAdvisorChatId(advisor)
+            : advisorNumber.includes('@') ? advisorNumber : `${formatPhone(advisorNumber)}@c.us`;
+        const lines = [
+            '🙋 *Respuesta de lead*',
+            `👤 ${userName} (+${formatPhone(userPhone)})`
+        ];
+
+        if (campaignName) {
+            lines.push(`📣 Campaña: ${campaignName}`);
+        }
+
+        lines.push(`💬 "${messageText}"`);
+
+        try {
+            await this.client.sendMessage(advisorChatId, lines.join('\n'));
+            return advisorNumber;
+        } catch (error) {
+            // El handoff queda igual en la cola de /handoffs
+            logger.error(`${this.logTag} Error reenviando mensaje de ${userPhone} al asesor:`, error);
+            return null;
+        }
+    }
+
+    publishLeadReply(handoffId, conversationId, userPhone, userName, messageText) {
+        eventBus.publish('lead.replied', {
+            lineId: this.lineId,
+            handoffId,
+            conversationId,
+            userPhone,
+            userName,
+            message: messageText
+        });
+    }
+
+    /**
+     * Verifica si el usuario puede iniciar una conversación y la crea.
+     * Debe ejecutarse con el lock del usuario tomado (ver handleIncomingMessage)
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<{conversationId: number, campaignMatch: object}|null>} - null si no se inicia
+     */
+    async startConversation(userPhone, userName, messageText) {
+        const activeConversation = await conversationService.getActiveConversation(userPhone, this.botPhoneNumber);
+        if (activeConversation) {
+            // Si el mensaje vuelve a disparar una campaña, es un duplicado (ej: keyword enviada dos veces)
+            const duplicateMatch = await campaignService.detectCampaign(messageText, this.campaignIds);
+            if (duplicateMatch) {
+                await conversationService.recordDuplicateTrigger(activeConversation.id, messageText);
+                logger.info(`${this.logTag} 🔁 Disparador duplicado de ${userPhone} registrado en conversación ${activeConversation.id}`);
+                return null;
+            }
+
+            logger.info(`${this.logTag} Usuario ${userPhone} tiene conversación activa (ID: ${activeConversation.id}), ignorando mensaje`);
+            return null;
+        }
+
+        const rateLimitCheck = await rateLimitService.checkRateLimit(userPhone);
+        if (!rateLimitCheck.allowed) {
+            logger.warn(`${this.logTag} Rate limit excedido para ${userPhone}: ${rateLimitCheck.reason}`);
+            return null;
+        }
+
+        const campaignMatch = await campaignService.detectCampaign(messageText, this.campaignIds);
+        if (!campaignMatch) {
+            logger.info(`${this.logTag} No se detectó ninguna campaña para el mensaje: "${messageText}"`);
+
+            // Sin campaña, el mensaje puede ser una búsqueda en el catálogo de inmuebles
+            if (!(await this.handleCatalogSearch(userPhone, userName, messageText))) {
+                await this.sendFallbackReply(userPhone, userName, messageText);
             }
+            return null;
+        }
+
+        logger.info(`${this.logTag} 🎯 Campaña detectada: "${campaignMatch.campaignName}" (ID: ${campaignMatch.campaignId})`);
+
+        await rateLimitService.updateRateLimit(userPhone);
+
+        const conversationId = await conversationService.createConversation({
+            userPhone,
+            userName,
+            campaignId: campaignMatch.campaignId,
+            triggerMessage: messageText,
+            matchedKeyword: campaignMatch.matchedKeyword,
+            matchType: campaignMatch.matchType,
+            corse: this.botPhoneNumber
+        });
+
+        logger.info(`${this.logTag} 💬 Conversación creada: ID ${conversationId} - Bot: ${this.botPhoneNumber}`);
+
+        return { conversationId, campaignMatch };
+    }
+
+    /**
+     * Responde una búsqueda de inmuebles ("departamento 2 dormitorios Miraflores hasta 300 mil")
+     * con la primera página de resultados como tarjetas
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<boolean>} - true si el mensaje era una búsqueda y ya fue respondida
+     */
+    async handleCatalogSearch(userPhone, userName, messageText) {
+        try {
+            const filters = await catalogService.parseQuery(messageText);
+
+            if (!filters) return false;
+
+            const { properties, total } = await catalogService.searchProperties(filters, 0, config.catalog.pageSize);
+            const variables = { nombre: userName, telefono: userPhone, total };
+
+            logger.info(`${this.logTag} 🏠 Búsqueda de ${userPhone}: ${JSON.stringify(filters)} - ${total} resultados`);
+
+            if (total === 0) {
+                await this.client.sendMessage(userPhone, replaceVariables(config.catalog.noResultsMessage, variables));
+                return true;
+            }
+
+            await catalogService.createSearch({
+                lineId: this.lineId,
+                userPhone,
+                queryText: messageText,
+                filters,
+                total,
+                shown: properties.length
+            });
+
+            await this.client.sendMessage(userPhone, replaceVariables(config.catalog.resultsMessage, variables));
+            await this.sendCatalogPage(userPhone, properties, properties.length, total);
+            return true;
+
+        } catch (error) {
+            logger.error(`${this.logTag} Error respondiendo búsqueda de ${userPhone}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Envía la siguiente página de la última búsqueda del lead cuando pide "ver más"
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<boolean>} - true si el mensaje pedía más resultados y ya fue atendido
+     */
+    async handleCatalogMore(userPhone, userName, messageText) {
+        if (!catalogService.isMoreCommand(messageText)) return false;
+
+        const search = await catalogService.getRecentSearch(userPhone);
+
+        if (!search) return false;
+
+        const { properties, total } = search.shown < search.total_results
+            ? await catalogService.searchProperties(search.filters, search.shown, config.catalog.pageSize)
+            : { properties: [], total: search.total_results };
+
+        if (properties.length === 0) {
+            await this.client.sendMessage(userPhone, replaceVariables(config.catalog.noMoreMessage, { nombre: userName }));
+            return true;
+        }
+
+        const shown = search.shown + properties.length;
+
+        await catalogService.updateSearch(search.id, { shown, total });
+        await this.sendCatalogPage(userPhone, properties, shown, total);
+
+        logger.info(`${this.logTag} 🏠 Página de búsqueda ${search.id} enviada a ${userPhone}: ${shown}/${total}`);
+        return true;
+    }
+
+    /**
+     * Envía una página de resultados del catálogo y, si quedan más, cómo pedirlos
+     * @param {string} userPhone - Número del usuario
+     * @param {Array} properties - Inmuebles de la página
+     * @param {number} shown - Resultados enviados hasta esta página inclusive
+     * @param {number} total - Resultados de la búsqueda
+     * @returns {Promise<void>}
+     */
+    async sendCatalogPage(userPhone, properties, shown, total) {
+        for (const property of properties) {
+            await catalogService.sendCard(this.client, userPhone, property);
+        }
+
+        if (shown < total) {
+            await this.client.sendMessage(userPhone, config.catalog.moreMessage);
+        }
+    }
+
+    /**
+     * Responde con la respuesta por defecto (como máximo una vez por usuario en el periodo configurado)
+     * y registra el mensaje sin campaña para revisión
+     * @param {string} userPhone - Número del usuario
+     * @param {string} userName - Nombre del usuario
+     * @param {string} messageText - Texto del mensaje recibido
+     * @returns {Promise<void>}
+     */
+    async sendFallbackReply(userPhone, userName, messageText) {
+        const unmatched = { lineId: this.lineId, userPhone, userName, messageText };
+
+        try {
+            const reply = await fallbackService.getFallbackReply(this.lineId);
+
+            if (!reply || await fallbackService.wasSentRecently(userPhone, reply.cooldown_hours)) {
+                await fallbackService.recordUnmatchedMessage(unmatched);
+                return;
+            }
+
+            const content = await fallbackService.buildFallbackContent(
+                reply,
+                { nombre: userName, telefono: userPhone },
+                this.campaignIds
+            );
+
+            await this.client.sendMessage(userPhone, content);
+
+            await fallbackService.recordUnmatchedMessage({
+                ...unmatched,
+                fallbackReplyId: reply.id,
+                fallbackContent: content
+            });
+
+            logger.info(`${this.logTag} 📋 Respuesta por defecto enviada a ${userPhone}`);
 
         } catch (error) {
-            logger.error('[WHATSAPP] Error procesando mensaje:', error);
+            logger.error(`${this.logTag} Error enviando respuesta por defecto a ${userPhone}:`, error);
+            await fallbackService.recordUnmatchedMessage(unmatched);
         }
     }
 
+    /**
+     * Drena la línea antes del apagado: deja de aceptar disparadores y de reconectar.
+     * Las secuencias pendientes las drena el dispatcher
+     */
+    drain() {
+        this.draining = true;
+        this.reconnectSupervisor.cancel();
+    }
+
+    /**
+     * Actualiza las campañas que atiende la línea
+     * @param {Array<number>|null} campaignIds - IDs de campañas (null = todas)
+     */
+    setCampaigns(campaignIds) {
+        this.campaignIds = campaignIds && campaignIds.length > 0 ? campaignIds : null;
+        logger.info(`${this.logTag} Campañas asignadas: ${this.campaignIds ? this.campaignIds.join(', ') : 'todas'}`);
+    }
+
     getStatus() {
         return {
+            lineId: this.lineId,
             isReady: this.isReady,
             isInitializing: this.isInitializing,
             hasQR: this.qrCodeData !== null,
             role: this.currentRole,
-            botNumber: this.botPhoneNumber
+            botNumber: this.botPhoneNumber,
+            campaignIds: this.campaignIds,
+            reconnect: this.reconnectSupervisor.getStatus(),
+            draining: this.draining
         };
     }
 
@@ -289,29 +1204,69 @@ class WhatsAppService {
         return this.botPhoneNumber;
     }
 
+    /**
+     * Detiene la línea: cancela la reconexión automática y destruye el cliente
+     */
     async destroy() {
+        this.reconnectSupervisor.cancel();
+        await this.destroyClient();
+    }
+
+    /**
+     * Destruye el cliente de WhatsApp sin tocar la reconexión automática
+     */
+    async destroyClient() {
         try {
             if (this.client) {
-                logger.info('[WHATSAPP] Destruyendo cliente...');
+                logger.info(`${this.logTag} Destruyendo cliente...`);
                 this.client.removeAllListeners(); // ← NUEVO: Limpiar listeners
                 await this.client.destroy();
-                this.client = null;
-                this.isReady = false;
-                this.isInitializing = false;
-                this.qrCodeData = null;
-                this.botPhoneNumber = null;
-                this.initializationPromise = null;
-                logger.info('[WHATSAPP] Cliente destruido exitosamente');
+                this.resetState();
+                logger.info(`${this.logTag} Cliente destruido exitosamente`);
             }
         } catch (error) {
-            logger.error('[WHATSAPP] Error destruyendo cliente:', error);
+            logger.error(`${this.logTag} Error destruyendo cliente:`, error);
             throw error;
         }
     }
 
+    /**
+     * Cierra la sesión de WhatsApp de la línea (desvincula el dispositivo y borra la sesión guardada)
+     */
+    async logout() {
+        this.reconnectSupervisor.cancel();
+
+        try {
+            if (this.client && this.isReady) {
+                logger.info(`${this.logTag} Cerrando sesión de WhatsApp...`);
+                this.client.removeAllListeners();
+                await this.client.logout();
+                await this.client.destroy();
+                this.resetState();
+                logger.info(`${this.logTag} Sesión cerrada`);
+            } else {
+                await this.destroyClient();
+            }
+        } finally {
+            // Si el cliente no estaba conectado (o el logout falló), borrar la sesión guardada igualmente
+            if (config.whatsapp.sessionStore === 'mysql') {
+                await sessionStore.delete({ session: this.getSessionName() });
+            }
+        }
+    }
+
+    resetState() {
+        this.client = null;
+        this.isReady = false;
+        this.isInitializing = false;
+        this.qrCodeData = null;
+        this.botPhoneNumber = null;
+        this.initializationPromise = null;
+    }
+
     isClientReady() {
         return this.isReady && this.client !== null;
     }
 }
 
-module.exports = new WhatsAppService();
\ No newline at end of file
+module.exports = WhatsAppService;
\ No newline at end of file
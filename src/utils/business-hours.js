@@ -0,0 +1,156 @@
+// utils/business-hours.js
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const WEEKDAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+// Como máximo se busca la próxima apertura en las siguientes dos semanas
+const MAX_LOOKAHEAD_DAYS = 14;
+
+/**
+ * Fecha y hora local de un instante en una zona horaria
+ * @param {Date} date - Instante
+ * @param {string} timeZone - Zona horaria IANA (ej: 'America/Lima')
+ * @returns {{year: number, month: number, day: number, weekday: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+
+    return {
+        year: Number(values.year),
+        month: Number(values.month),
+        day: Number(values.day),
+        weekday: WEEKDAYS[values.weekday],
+        hour: Number(values.hour),
+        minute: Number(values.minute),
+        second: Number(values.second)
+    };
+}
+
+/**
+ * Convierte una fecha y hora local de una zona horaria al instante UTC
+ * @returns {Date}
+ */
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Diferencia entre la hora local que marca el instante "guess" y el propio guess
+    const offsetAt = (instant) => {
+        const parts = getZonedParts(new Date(instant), timeZone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+    };
+
+    // Segunda pasada por si el offset cambia (horario de verano)
+    const first = guess - offsetAt(guess);
+    return new Date(guess - offsetAt(first));
+}
+
+/**
+ * 'HH:MM[:SS]' a minutos desde medianoche
+ * @param {string} time
+ * @returns {number}
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Fecha 'YYYY-MM-DD'
+ */
+function formatDateKey(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Franjas de un día ordenadas por apertura
+ * @param {object} calendar - {hours: [{day_of_week, open_time, close_time}]}
+ * @param {number} weekday - 0 = domingo
+ * @returns {Array<{open: number, close: number}>}
+ */
+function getDayRanges(calendar, weekday) {
+    return calendar.hours
+        .filter(range => Number(range.day_of_week) === weekday)
+        .map(range => ({ open: timeToMinutes(range.open_time), close: timeToMinutes(range.close_time) }))
+        .sort((a, b) => a.open - b.open);
+}
+
+/**
+ * Verifica si el calendario está abierto en un instante
+ * @param {object} calendar - {timezone, hours, holidays: Set<'YYYY-MM-DD'>}
+ * @param {Date} date - Instante (por defecto ahora)
+ * @returns {boolean}
+ */
+function isOpen(calendar, date = new Date()) {
+    const local = getZonedParts(date, calendar.timezone);
+
+    if (calendar.holidays.has(formatDateKey(local.year, local.month, local.day))) {
+        return false;
+    }
+
+    const minutes = local.hour * 60 + local.minute;
+
+    return getDayRanges(calendar, local.weekday)
+        .some(range => minutes >= range.open && minutes < range.close);
+}
+
+/**
+ * Próxima apertura del calendario (si está abierto, devuelve el mismo instante)
+ * @param {object} calendar - {timezone, hours, holidays: Set<'YYYY-MM-DD'>}
+ * @param {Date} date - Desde cuándo buscar (por defecto ahora)
+ * @returns {Date|null} - null si no abre en las próximas dos semanas
+ */
+function getNextOpening(calendar, date = new Date()) {
+    if (isOpen(calendar, date)) return date;
+
+    const local = getZonedParts(date, calendar.timezone);
+    const nowMinutes = local.hour * 60 + local.minute;
+
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+        // Avanzar días sobre la fecha local (Date.UTC normaliza fin de mes)
+        const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+        const year = day.getUTCFullYear();
+        const month = day.getUTCMonth() + 1;
+        const dayOfMonth = day.getUTCDate();
+
+        if (calendar.holidays.has(formatDateKey(year, month, dayOfMonth))) continue;
+
+        const range = getDayRanges(calendar, day.getUTCDay())
+            .find(candidate => offset > 0 || candidate.open > nowMinutes);
+
+        if (range) {
+            return zonedTimeToDate(year, month, dayOfMonth, Math.floor(range.open / 60), range.open % 60, calendar.timezone);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Texto de una apertura para el usuario (ej: "lunes 09:00")
+ * @param {Date} date - Instante de la apertura
+ * @param {string} timeZone - Zona horaria del calendario
+ * @returns {string}
+ */
+function formatOpening(date, timeZone) {
+    const local = getZonedParts(date, timeZone);
+    return `${WEEKDAY_NAMES[local.weekday]} ${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+}
+
+module.exports = {
+    getZonedParts,
+    isOpen,
+    getNextOpening,
+    formatOpening
+};
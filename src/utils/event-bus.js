@@ -0,0 +1,40 @@
+// utils/event-bus.js
+const { EventEmitter } = require('events');
+
+/**
+ * Bus de eventos interno del bot (estado de líneas y ciclo de vida de conversaciones).
+ * Todos los eventos se emiten en el canal 'event' con el mismo formato,
+ * para que los consumidores (SSE, etc.) se suscriban una sola vez.
+ */
+const eventBus = new EventEmitter();
+
+// Cada cliente SSE agrega un listener; no limitar la cantidad
+eventBus.setMaxListeners(0);
+
+/**
+ * Publica un evento en el bus
+ * @param {string} type - Tipo de evento (ej: 'qr', 'ready', 'conversation.created')
+ * @param {object} data - Datos del evento (incluir lineId cuando aplique)
+ */
+function publish(type, data = {}) {
+    eventBus.emit('event', {
+        type,
+        data,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Se suscribe a todos los eventos del bus
+ * @param {function} listener - Recibe {type, data, timestamp}
+ * @returns {function} - Función para cancelar la suscripción
+ */
+function subscribe(listener) {
+    eventBus.on('event', listener);
+    return () => eventBus.off('event', listener);
+}
+
+module.exports = {
+    publish,
+    subscribe
+};
@@ -0,0 +1,50 @@
+// utils/keyed-lock.js
+
+/**
+ * Lock en memoria por clave: las tareas con la misma clave se ejecutan
+ * de a una y en orden de llegada; claves distintas corren en paralelo.
+ */
+class KeyedLock {
+    constructor() {
+        this.tails = new Map();
+    }
+
+    /**
+     * Ejecuta una tarea con el lock de la clave tomado
+     * @param {string} key - Clave a serializar (ej: número del usuario)
+     * @param {function} task - Función async a ejecutar
+     * @returns {Promise<*>} - Resultado de la tarea
+     */
+    async run(key, task) {
+        const previous = this.tails.get(key) || Promise.resolve();
+
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+
+        this.tails.set(key, tail);
+
+        await previous;
+
+        try {
+            return await task();
+        } finally {
+            release();
+
+            // Si nadie más esperó detrás, liberar la clave
+            if (this.tails.get(key) === tail) {
+                this.tails.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Cantidad de claves con tareas en curso o en espera
+     * @returns {number}
+     */
+    size() {
+        return this.tails.size;
+    }
+}
+
+module.exports = KeyedLock;
@@ -42,6 +42,32 @@ function containsKeyword(normalizedMessage, normalizedKeyword) {
     return allWordsPresent;
 }
 
+/**
+ * Verifica si el mensaje coincide con alguna de las frases.
+ * Una frase de una palabra ("stop") debe ser el mensaje completo;
+ * una de varias ("no me escriban") puede aparecer dentro del mensaje
+ * @param {string} normalizedMessage - Mensaje normalizado
+ * @param {Array<string>} phrases - Frases configuradas
+ * @returns {string|null} - Frase que coincidió
+ */
+function matchPhrase(normalizedMessage, phrases) {
+    for (const phrase of phrases) {
+        const normalizedPhrase = normalizeText(phrase);
+
+        if (!normalizedPhrase) continue;
+
+        if (normalizedMessage === normalizedPhrase) {
+            return phrase;
+        }
+
+        if (normalizedPhrase.includes(' ') && ` ${normalizedMessage} `.includes(` ${normalizedPhrase} `)) {
+            return phrase;
+        }
+    }
+
+    return null;
+}
+
 /**
  * Detecta si un mensaje coincide con las keywords de una campaña
  * @param {string} messageText - Texto del mensaje recibido
@@ -145,5 +171,6 @@ function matchKeywords(messageText, triggerKeywords) {
 module.exports = { 
     matchKeywords,
     normalizeText,
-    containsKeyword
+    containsKeyword,
+    matchPhrase
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+// utils/number-parser.js
+const { normalizeText } = require('./keyword-matcher');
+
+// Multiplicadores escritos después del número ("300 mil", "1.5 millones", "250k")
+const MULTIPLIERS = {
+    k: 1000,
+    mil: 1000,
+    m: 1000000,
+    millon: 1000000,
+    millones: 1000000
+};
+
+/**
+ * Convierte un número escrito con separadores ("250,000", "250.000", "1.5", "1,5")
+ * Un separador seguido de exactamente 3 dígitos se toma como de miles
+ * @param {string} raw
+ * @returns {number}
+ */
+function parseNumberToken(raw) {
+    if (/^\d{1,3}([.,]\d{3})+$/.test(raw)) {
+        return Number(raw.replace(/[.,]/g, ''));
+    }
+
+    return Number(raw.replace(',', '.'));
+}
+
+/**
+ * Extrae todos los montos de un texto libre, aplicando "mil", "millones", "k"
+ * @param {string} text - Ej: "entre 200 y 300 mil", "S/ 250,000", "1.5 millones"
+ * @returns {Array<number>}
+ */
+function parseNumbers(text) {
+    if (!text) return [];
+
+    // Se normaliza a mano (normalizeText quitaría los separadores decimales)
+    const normalized = text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+
+    const regex = /(\d+(?:[.,]\d+)*)\s*(millones|millon|mil|k|m)?\b/g;
+    const matches = [];
+    let match;
+
+    while ((match = regex.exec(normalized)) !== null) {
+        const value = parseNumberToken(match[1]);
+
+        if (Number.isNaN(value)) continue;
+
+        matches.push({ value, unit: match[2] || null, start: match.index, end: match.index + match[0].length });
+    }
+
+    return matches.map((current, index) => {
+        let unit = current.unit;
+        const next = matches[index + 1];
+
+        // "entre 200 y 300 mil": el número sin unidad toma la del siguiente si solo los separa un conector
+        if (!unit && next && next.unit && /^\s*(y|a|al|-|hasta)\s*$/.test(normalized.slice(current.end, next.start))) {
+            unit = next.unit;
+        }
+
+        return current.value * (MULTIPLIERS[unit] || 1);
+    });
+}
+
+/**
+ * Extrae el primer número de un texto libre
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseNumber(text) {
+    const values = parseNumbers(text);
+    return values.length > 0 ? values[0] : null;
+}
+
+/**
+ * Convierte palabras numéricas simples ("dos", "tres") a dígitos para reutilizar el parser
+ * @param {string} text
+ * @returns {string}
+ */
+function replaceNumberWords(text) {
+    const words = { uno: 1, una: 1, un: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6 };
+
+    return normalizeText(text)
+        .split(' ')
+        .map(word => (words[word] !== undefined ? String(words[word]) : word))
+        .join(' ');
+}
+
+module.exports = {
+    parseNumber,
+    parseNumbers,
+    replaceNumberWords
+};
@@ -0,0 +1,94 @@
+// utils/token.js
+const crypto = require('crypto');
+
+/**
+ * Codifica en base64url
+ * @param {Buffer|string} value
+ * @returns {string}
+ */
+function base64url(value) {
+    return Buffer.from(value).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+/**
+ * Firma HMAC-SHA256 de un contenido
+ * @param {string} content
+ * @param {string} secret
+ * @returns {string}
+ */
+function hmac(content, secret) {
+    return base64url(crypto.createHmac('sha256', secret).update(content).digest());
+}
+
+/**
+ * Compara dos strings en tiempo constante
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+
+    if (bufferA.length !== bufferB.length) return false;
+
+    return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Genera un token firmado (formato JWT HS256)
+ * @param {object} payload - Datos del token (sub, scopes, role...)
+ * @param {string} secret - Secreto de firma
+ * @param {number} ttlSeconds - Vigencia en segundos
+ * @returns {string}
+ */
+function signToken(payload, secret, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+
+    return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Verifica un token firmado y devuelve su payload
+ * @param {string} token - Token a verificar
+ * @param {string} secret - Secreto de firma
+ * @returns {object} - Payload del token
+ * @throws {Error} - Si el token es inválido o expiró
+ */
+function verifyToken(token, secret) {
+    const parts = String(token).split('.');
+
+    if (parts.length !== 3) {
+        throw new Error('Token mal formado');
+    }
+
+    const [header, body, signature] = parts;
+
+    if (!safeEqual(signature, hmac(`${header}.${body}`, secret))) {
+        throw new Error('Firma de token inválida');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64').toString('utf8'));
+    } catch {
+        throw new Error('Token mal formado');
+    }
+
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+        throw new Error('Token expirado');
+    }
+
+    return payload;
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+    safeEqual
+};